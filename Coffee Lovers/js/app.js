@@ -0,0 +1,11 @@
+// app.js - Entry point for the Coffee Lovers website
+// Loaded on every page as <script type="module">. Importing a feature module registers its init
+// functions (see initRegistry.js); start() then runs them once the DOM is ready.
+
+import './main.js';
+import './gallery.js';
+import { start } from './initRegistry.js';
+
+start();
+
+// End of app.js
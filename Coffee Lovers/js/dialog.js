@@ -0,0 +1,92 @@
+// dialog.js - Reusable focus management for dialogs and other focus-trapping UI
+// createFocusTrap() keeps Tab and Shift+Tab cycling inside a container while it is active, can make the
+// rest of the page inert, and returns focus to whatever opened it. Used by the gallery lightbox and the
+// mobile navigation.
+
+import { qSA } from './utils.js';
+
+const FOCUSABLE_SELECTOR = [
+  'a[href]',
+  'area[href]',
+  'button:not([disabled])',
+  'input:not([disabled]):not([type="hidden"])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+// Focusable elements in document order, skipping anything hidden
+export const getFocusableElements = (container) => qSA(FOCUSABLE_SELECTOR, container)
+  .filter(el => !el.closest('[hidden]'));
+
+// Move focus to the other end when Tab would leave the first or last element
+export const trapTabKey = (event, elements, container) => {
+  if (event.key !== 'Tab') return;
+  if (elements.length === 0) {
+    // Nothing to move to: keep focus on the container itself
+    event.preventDefault();
+    if (container) container.focus();
+    return;
+  }
+
+  const first = elements[0];
+  const last = elements[elements.length - 1];
+  const current = elements.indexOf(document.activeElement);
+
+  if (event.shiftKey && current <= 0) {
+    event.preventDefault();
+    last.focus();
+  } else if (!event.shiftKey && (current === -1 || current === elements.length - 1)) {
+    event.preventDefault();
+    first.focus();
+  }
+};
+
+// Make every top-level element that does not hold the container inert; returns the elements changed
+const makeBackgroundInert = (container) => {
+  const changed = Array.from(document.body.children)
+    .filter(el => !el.contains(container) && !el.hasAttribute('inert') && el.tagName !== 'SCRIPT');
+  changed.forEach(el => el.setAttribute('inert', ''));
+  return changed;
+};
+
+// Options:
+//   getElements     - elements Tab cycles through (default: everything focusable inside the container)
+//   inertBackground - make the rest of the page inert while active (modal dialogs)
+export const createFocusTrap = (container, { getElements = () => getFocusableElements(container), inertBackground = false } = {}) => {
+  let active = false;
+  let returnTo = null;
+  let inerted = [];
+
+  const handleKeyDown = (event) => {
+    if (active && event.key === 'Tab') trapTabKey(event, getElements(), container);
+  };
+
+  return {
+    // returnFocusTo gets focus back on deactivate (defaults to the element focused when activated)
+    activate(returnFocusTo = document.activeElement) {
+      if (active) return;
+      active = true;
+      returnTo = returnFocusTo;
+      if (inertBackground) inerted = makeBackgroundInert(container);
+      document.addEventListener('keydown', handleKeyDown);
+    },
+
+    deactivate({ restoreFocus = true } = {}) {
+      if (!active) return;
+      active = false;
+      document.removeEventListener('keydown', handleKeyDown);
+      // Inert elements cannot take focus, so release them first
+      inerted.forEach(el => el.removeAttribute('inert'));
+      inerted = [];
+      if (restoreFocus && returnTo && document.contains(returnTo) && typeof returnTo.focus === 'function') {
+        returnTo.focus();
+      }
+      returnTo = null;
+    },
+
+    isActive: () => active
+  };
+};
+
+// End of dialog.js
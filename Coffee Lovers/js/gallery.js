@@ -1,17 +1,42 @@
 // gallery.js - Manages image galleries and lightbox functionality across Coffee Lovers website
 
-// Utility: Safe querySelector and querySelectorAll
-const qS = (selector, scope = document) => scope.querySelector(selector);
-const qSA = (selector, scope = document) => Array.from(scope.querySelectorAll(selector));
-
-// Utility: Check if element exists
-const exists = (el) => el !== null && el !== undefined;
+import { qS, qSA } from './utils.js';
+import { registerInit } from './initRegistry.js';
+import { createFocusTrap } from './dialog.js';
+
+// Touch and pointer gesture tuning (CSS pixels and milliseconds)
+const SWIPE_THRESHOLD = 60;
+const TAP_SLOP = 10;
+const DOUBLE_TAP_DELAY = 300;
+const DOUBLE_TAP_SCALE = 2.5;
+const MAX_ZOOM = 4;
+// Room kept around the image for the prev/next/close buttons
+const LIGHTBOX_GUTTER = 64;
+
+// Slideshow timing; a gallery can set data-slideshow-interval (milliseconds) and data-slideshow-autoplay
+const DEFAULT_SLIDESHOW_INTERVAL = 5000;
+const MIN_SLIDESHOW_INTERVAL = 2000;
+
+// Keyboard focus rather than a mouse click (browsers without :focus-visible treat all focus as visible)
+const isFocusVisible = (el) => {
+  try {
+    return el.matches(':focus-visible');
+  } catch (error) {
+    return true;
+  }
+};
 
-// Gallery and Lightbox Core
-class ImageGallery {
-  constructor(galleryRoot) {
-    this.galleryRoot = galleryRoot;
-    this.images = qSA('img', galleryRoot).filter(img => img.getAttribute('data-full') || img.src);
+const prefersReducedMotion = () => window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+// Shared lightbox controller
+// One viewer serves every gallery on the page: galleries register their image sets with it, and it builds its
+// DOM and document/window listeners once, when the first set is registered. destroy() removes them again,
+// and happens on its own when the last gallery is destroyed.
+class Lightbox {
+  constructor() {
+    // Registered galleries, and the one whose images are showing (or last showed)
+    this.galleries = new Set();
+    this.gallery = null;
     this.currentIndex = -1;
     this.lightbox = null;
     this.lightboxImage = null;
@@ -19,12 +44,43 @@ class ImageGallery {
     this.nextBtn = null;
     this.closeBtn = null;
     this.caption = null;
+    // Zoom and pan applied to the lightbox image, plus the pointers and gesture in progress
+    this.zoom = { scale: 1, x: 0, y: 0 };
+    this.pointers = new Map();
+    this.gesture = null;
+    this.lastTap = null;
+    this.suppressNextClick = false;
+    // Slideshow state; the interval and autoplay setting come from the gallery being shown
+    this.slideshow = {
+      playing: false,
+      hovered: false,
+      focused: false,
+      timer: null
+    };
+    this.playBtn = null;
+    this.counter = null;
+    this.filmstrip = null;
+    this.preloaded = new Set();
+    // Modal focus handling and screen reader announcements for the open lightbox
+    this.focusTrap = null;
+    this.announcer = null;
     this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleResize = this.handleResize.bind(this);
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
 
-    if(this.images.length > 0) {
-      this.buildLightbox();
-      this.attachEventListeners();
-    }
+    this.buildLightbox();
+    this.attachEventListeners();
+  }
+
+  // Images of the gallery being shown
+  get images() {
+    return this.gallery ? this.gallery.images : [];
+  }
+
+  isOpen() {
+    return Boolean(this.lightbox) && !this.lightbox.classList.contains('hidden');
   }
 
   buildLightbox() {
@@ -43,6 +99,7 @@ class ImageGallery {
       this.lightboxImage = document.createElement('img');
       this.lightboxImage.className = 'lightbox-image';
       this.lightboxImage.alt = '';
+      this.lightboxImage.draggable = false;
 
       this.caption = document.createElement('p');
       this.caption.className = 'lightbox-caption';
@@ -61,36 +118,83 @@ class ImageGallery {
       this.closeBtn.className = 'lightbox-close';
       this.closeBtn.setAttribute('aria-label', 'Close viewer');
       this.closeBtn.textContent = '×';
+
+      // Slideshow controls and "image N of M" counter
+      const toolbar = document.createElement('div');
+      toolbar.className = 'lightbox-toolbar';
+
+      this.playBtn = document.createElement('button');
+      this.playBtn.className = 'lightbox-play';
+      this.playBtn.setAttribute('aria-pressed', 'false');
+      this.playBtn.setAttribute('aria-label', 'Play slideshow');
+      this.playBtn.textContent = '\u25B6';
+
+      this.counter = document.createElement('p');
+      this.counter.className = 'lightbox-counter';
+
+      toolbar.appendChild(this.playBtn);
+      toolbar.appendChild(this.counter);
+
+      // Announces each image change to screen reader users
+      this.announcer = document.createElement('p');
+      this.announcer.className = 'sr-only';
+      this.announcer.setAttribute('aria-live', 'polite');
+      this.announcer.setAttribute('aria-atomic', 'true');
 lightboxContent.appendChild(this.prevBtn);
       lightboxContent.appendChild(this.lightboxImage);
       lightboxContent.appendChild(this.nextBtn);
       lightboxContent.appendChild(this.caption);
       this.lightbox.appendChild(this.closeBtn);
+      this.lightbox.appendChild(toolbar);
       this.lightbox.appendChild(lightboxContent);
+      this.lightbox.appendChild(this.buildFilmstrip());
+      this.lightbox.appendChild(this.announcer);
 
       document.body.appendChild(this.lightbox);
+      this.focusTrap = createFocusTrap(this.lightbox, { inertBackground: true });
     } catch (error) {
       console.error('Error building lightbox:', error);
     }
   }
 
+  // Thumbnail strip under the image for jumping straight to any image; filled by renderFilmstrip()
+  buildFilmstrip() {
+    this.filmstrip = document.createElement('ul');
+    this.filmstrip.className = 'lightbox-filmstrip';
+    this.filmstrip.setAttribute('aria-label', 'All images');
+    this.filmstrip.hidden = true;
+    return this.filmstrip;
+  }
+
+  // Thumbnails and slideshow control for the current gallery's images
+  renderFilmstrip() {
+    const single = this.images.length < 2;
+    this.filmstrip.textContent = '';
+    this.filmstrip.hidden = single;
+    this.playBtn.hidden = single;
+
+    this.images.forEach((img, index) => {
+      const item = document.createElement('li');
+      const thumbBtn = document.createElement('button');
+      thumbBtn.className = 'lightbox-thumb';
+      thumbBtn.dataset.index = String(index);
+      thumbBtn.setAttribute('aria-label', `Show image ${index + 1}: ${img.alt || 'Coffee image'}`);
+
+      const thumb = document.createElement('img');
+      thumb.src = img.currentSrc || img.src;
+      thumb.alt = '';
+      thumb.loading = 'lazy';
+      thumb.draggable = false;
+
+      thumbBtn.appendChild(thumb);
+      item.appendChild(thumbBtn);
+      this.filmstrip.appendChild(item);
+    });
+  }
+
   attachEventListeners() {
     try {
-      // Click on gallery images
-      this.galleryRoot.addEventListener('click', (e) => {
-        try {
-          const img = e.target.closest('img');
-          if (!img || !this.images.includes(img)) return;
-          e.preventDefault();
-          const index = this.images.indexOf(img);
-          if (index !== -1) {
-            this.openLightbox(index);
-          }
-        } catch (error) {
-          console.error('Error handling gallery image click:', error);
-        }
-      });
-// Lightbox controls
+      // Lightbox controls
       this.prevBtn.addEventListener('click', (e) => {
         e.stopPropagation();
         this.showPrevious();
@@ -105,32 +209,96 @@ lightboxContent.appendChild(this.prevBtn);
         this.closeLightbox();
       });
 
-      // Close lightbox on click outside image
+      this.playBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (this.slideshow.playing) {
+          this.stopSlideshow();
+        } else {
+          this.startSlideshow();
+        }
+      });
+
+      this.filmstrip.addEventListener('click', (e) => {
+        const thumbBtn = e.target.closest('.lightbox-thumb');
+        if (!thumbBtn) return;
+        e.stopPropagation();
+        this.openLightbox(parseInt(thumbBtn.dataset.index, 10));
+      });
+
+      // The slideshow waits while the pointer is over the image, or while keyboard focus is on a control
+      // other than play/pause (a thumbnail clicked with the mouse does not hold it)
+      const content = qS('.lightbox-content', this.lightbox);
+      content.addEventListener('mouseenter', () => this.setSlideshowHold('hovered', true));
+      content.addEventListener('mouseleave', () => this.setSlideshowHold('hovered', false));
+      this.lightbox.addEventListener('focusin', (e) => {
+        const isControl = e.target !== this.lightbox && e.target !== this.playBtn;
+        this.setSlideshowHold('focused', isControl && isFocusVisible(e.target));
+      });
+      this.lightbox.addEventListener('focusout', (e) => {
+        if (!this.lightbox.contains(e.relatedTarget)) this.setSlideshowHold('focused', false);
+      });
+
+      // Close lightbox on click outside image (but not at the end of a swipe, pan or pinch)
       this.lightbox.addEventListener('click', (e) => {
+        if (this.suppressNextClick) {
+          this.suppressNextClick = false;
+          return;
+        }
         if (e.target === this.lightbox) {
           this.closeLightbox();
         }
       });
 
-      // Keyboard navigation
-      document.addEventListener('keydown', this.handleKeyDown);
+      // Swipe, pinch, double-tap and pan (touch, pen and mouse)
+      this.lightbox.addEventListener('pointerdown', this.handlePointerDown);
+      this.lightbox.addEventListener('pointermove', this.handlePointerMove);
+      this.lightbox.addEventListener('pointerup', this.handlePointerUp);
+      this.lightbox.addEventListener('pointercancel', this.handlePointerUp);
+      this.lightboxImage.addEventListener('load', () => this.adjustImageSize());
 
-      // Resize image on window resize for responsiveness
-      window.addEventListener('resize', () => {
-        if(this.lightbox && !this.lightbox.classList.contains('hidden')) {
-          this.adjustImageSize();
-        }
-      });
+      // Keyboard navigation and resizing, shared by every gallery
+      document.addEventListener('keydown', this.handleKeyDown);
+      window.addEventListener('resize', this.handleResize);
     } catch (error) {
-      console.error('Error attaching event listeners to gallery:', error);
+      console.error('Error attaching event listeners to lightbox:', error);
     }
   }
-openLightbox(index) {
+  register(gallery) {
+    this.galleries.add(gallery);
+  }
+
+  // Forget a gallery, closing the lightbox if it is showing that gallery's images
+  unregister(gallery) {
+    if (!this.galleries.delete(gallery)) return;
+    if (gallery === this.gallery) {
+      if (this.isOpen()) this.closeLightbox();
+      this.gallery = null;
+      this.renderFilmstrip();
+    }
+    if (this.galleries.size === 0) this.destroy();
+  }
+
+  // Show image index of a registered gallery, switching the filmstrip over if another gallery was last shown
+  open(gallery, index, trigger = document.activeElement) {
+    if (!this.galleries.has(gallery)) return;
+    if (gallery !== this.gallery) {
+      if (this.isOpen()) this.closeLightbox();
+      this.gallery = gallery;
+      this.renderFilmstrip();
+    }
+    this.openLightbox(index, trigger);
+  }
+
+  // trigger is the element that gets focus back when the lightbox closes (defaults to the focused element)
+  openLightbox(index, trigger = document.activeElement) {
     try {
       if (index < 0 || index >= this.images.length) return;
+      const wasHidden = this.lightbox.classList.contains('hidden');
       this.currentIndex = index;
+      // Every image starts unzoomed
+      this.resetZoom();
       const img = this.images[index];
-      const fullSrc = img.getAttribute('data-full') || img.src;
+      const fullSrc = this.getFullSrc(img);
       const altText = img.alt || 'Coffee image';
       const captionText = img.title || img.getAttribute('data-caption') || altText;
 
@@ -139,10 +307,27 @@ openLightbox(index) {
       this.caption.textContent = captionText;
 
       this.lightbox.classList.remove('hidden');
-      this.lightbox.focus();
+      // Moving between images leaves focus where it is (a thumbnail, or the play button)
+      if (wasHidden) {
+        this.focusTrap.activate(trigger);
+        this.lightbox.focus();
+      }
 
       this.updateNavigationButtons();
+      this.updateSlideshowPosition();
+      // A running slideshow stays quiet; announcing every slide would talk over the page
+      if (!this.slideshow.playing) {
+        this.announce(`Image ${index + 1} of ${this.images.length}: ${captionText}`);
+      }
       this.adjustImageSize();
+      this.preloadNeighbours();
+
+      if (wasHidden && this.gallery.slideshow.autoplay && !prefersReducedMotion()) {
+        this.startSlideshow();
+      } else {
+        // Manual navigation gives the new image a full interval
+        this.scheduleNextSlide();
+      }
 
       // Prevent scrolling on body
       document.body.style.overflow = 'hidden';
@@ -154,10 +339,15 @@ openLightbox(index) {
   closeLightbox() {
     try {
       this.lightbox.classList.add('hidden');
+      this.stopSlideshow();
+      this.resetZoom();
       this.currentIndex = -1;
       this.lightboxImage.src = '';
       this.caption.textContent = '';
+      this.announcer.textContent = '';
       document.body.style.overflow = '';
+      // Un-inert the page and return focus to the image that opened the lightbox
+      this.focusTrap.deactivate();
     } catch (error) {
       console.error('Error closing lightbox:', error);
     }
@@ -182,6 +372,93 @@ openLightbox(index) {
       console.error('Error showing next image:', error);
     }
   }
+  announce(message) {
+    if (this.announcer) this.announcer.textContent = message;
+  }
+
+  getFullSrc(img) {
+    return img.getAttribute('data-full') || img.src;
+  }
+
+  // Fetch the images either side of the current one so moving to them is instant
+  preloadNeighbours() {
+    [this.currentIndex - 1, this.currentIndex + 1].forEach(index => {
+      const img = this.images[index];
+      if (!img) return;
+      const src = this.getFullSrc(img);
+      if (this.preloaded.has(src)) return;
+      this.preloaded.add(src);
+      const preload = new Image();
+      preload.src = src;
+    });
+  }
+
+  updateSlideshowPosition() {
+    if (this.counter) {
+      this.counter.textContent = `Image ${this.currentIndex + 1} of ${this.images.length}`;
+    }
+    if (!this.filmstrip) return;
+    qSA('.lightbox-thumb', this.filmstrip).forEach((thumbBtn, index) => {
+      if (index === this.currentIndex) {
+        thumbBtn.setAttribute('aria-current', 'true');
+        if (typeof thumbBtn.scrollIntoView === 'function') {
+          thumbBtn.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+        }
+      } else {
+        thumbBtn.removeAttribute('aria-current');
+      }
+    });
+  }
+
+  // Slideshow
+  startSlideshow() {
+    if (this.images.length < 2) return;
+    this.slideshow.playing = true;
+    this.playBtn.setAttribute('aria-pressed', 'true');
+    this.playBtn.setAttribute('aria-label', 'Pause slideshow');
+    this.playBtn.textContent = '\u275A\u275A';
+    this.lightbox.classList.add('is-playing');
+    this.scheduleNextSlide();
+  }
+
+  stopSlideshow() {
+    this.slideshow.playing = false;
+    clearTimeout(this.slideshow.timer);
+    this.slideshow.timer = null;
+    if (!this.playBtn) return;
+    this.playBtn.setAttribute('aria-pressed', 'false');
+    this.playBtn.setAttribute('aria-label', 'Play slideshow');
+    this.playBtn.textContent = '\u25B6';
+    this.lightbox.classList.remove('is-playing');
+  }
+
+  setSlideshowHold(reason, active) {
+    this.slideshow[reason] = active;
+    this.scheduleNextSlide();
+  }
+
+  // (Re)start the countdown to the next image, unless the slideshow is stopped or held
+  scheduleNextSlide() {
+    const { slideshow } = this;
+    clearTimeout(slideshow.timer);
+    slideshow.timer = null;
+    if (!slideshow.playing || slideshow.hovered || slideshow.focused) return;
+    slideshow.timer = setTimeout(() => this.advanceSlideshow(), this.gallery.slideshow.interval);
+  }
+
+  // Loops back to the first image; a zoomed image is left alone until it is zoomed out
+  advanceSlideshow() {
+    try {
+      if (this.zoom.scale > 1) {
+        this.scheduleNextSlide();
+        return;
+      }
+      this.openLightbox((this.currentIndex + 1) % this.images.length);
+    } catch (error) {
+      console.error('Error advancing slideshow:', error);
+    }
+  }
+
 updateNavigationButtons() {
     if (!this.prevBtn || !this.nextBtn) return;
     this.prevBtn.disabled = this.currentIndex <= 0;
@@ -190,15 +467,248 @@ updateNavigationButtons() {
 
   adjustImageSize() {
     try {
-      // For now, rely on CSS max-width and max-height, but we could implement custom sizing if needed
-      // Keeping method for possible future enhancements
+      if (!this.lightboxImage) return;
+      // Fit the image to the viewport, leaving room for the controls, caption and thumbnails
+      const captionHeight = this.caption ? this.caption.offsetHeight : 0;
+      const filmstripHeight = this.filmstrip && !this.filmstrip.hidden ? this.filmstrip.offsetHeight : 0;
+      const maxWidth = Math.max(0, window.innerWidth - LIGHTBOX_GUTTER * 2);
+      const maxHeight = Math.max(0, window.innerHeight - captionHeight - filmstripHeight - LIGHTBOX_GUTTER * 2);
+      this.lightboxImage.style.maxWidth = `${maxWidth}px`;
+      this.lightboxImage.style.maxHeight = `${maxHeight}px`;
+
+      // Keep a zoomed image within its new bounds
+      this.clampPan();
+      this.applyTransform();
     } catch (error) {
       console.error('Error adjusting image size:', error);
     }
   }
 
+  // Zoom and pan
+  applyTransform() {
+    const { scale, x, y } = this.zoom;
+    const zoomed = scale > 1;
+    this.lightboxImage.style.transform = zoomed ? `translate(${x}px, ${y}px) scale(${scale})` : '';
+    this.lightbox.classList.toggle('is-zoomed', zoomed);
+  }
+
+  // A zoomed image can be panned until its edges reach the edges of its unzoomed box
+  clampPan() {
+    const maxX = (this.lightboxImage.offsetWidth * (this.zoom.scale - 1)) / 2;
+    const maxY = (this.lightboxImage.offsetHeight * (this.zoom.scale - 1)) / 2;
+    this.zoom.x = Math.min(maxX, Math.max(-maxX, this.zoom.x));
+    this.zoom.y = Math.min(maxY, Math.max(-maxY, this.zoom.y));
+  }
+
+  // Centre of the image before zoom and pan are applied
+  getImageCenter() {
+    const rect = this.lightboxImage.getBoundingClientRect();
+    return {
+      x: rect.left + rect.width / 2 - this.zoom.x,
+      y: rect.top + rect.height / 2 - this.zoom.y
+    };
+  }
+
+  // Zoom to scale while keeping the point under (clientX, clientY) in place
+  zoomAt(scale, clientX, clientY) {
+    const center = this.getImageCenter();
+    const ratio = scale / this.zoom.scale;
+    this.zoom = {
+      scale,
+      x: clientX - center.x - ratio * (clientX - center.x - this.zoom.x),
+      y: clientY - center.y - ratio * (clientY - center.y - this.zoom.y)
+    };
+    this.clampPan();
+    this.applyTransform();
+  }
+
+  resetZoom() {
+    if (!this.lightboxImage) return;
+    this.zoom = { scale: 1, x: 0, y: 0 };
+    this.pointers.clear();
+    this.gesture = null;
+    this.lastTap = null;
+    this.lightboxImage.classList.remove('is-dragging');
+    this.lightboxImage.style.opacity = '';
+    this.applyTransform();
+  }
+
+  // Pointer gestures: one pointer swipes (or pans when zoomed), two pointers pinch
+  handlePointerDown(e) {
+    try {
+      if (e.target.closest('button, .lightbox-filmstrip')) return;
+      if (e.pointerType === 'mouse' && e.button !== 0) return;
+      this.suppressNextClick = false;
+      this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+      if (this.pointers.size === 2) {
+        this.startPinch();
+      } else if (this.pointers.size === 1) {
+        this.gesture = {
+          type: this.zoom.scale > 1 ? 'pan' : 'swipe',
+          pointerId: e.pointerId,
+          startX: e.clientX,
+          startY: e.clientY,
+          originX: this.zoom.x,
+          originY: this.zoom.y,
+          onImage: e.target === this.lightboxImage,
+          moved: false
+        };
+      }
+    } catch (error) {
+      console.error('Error starting lightbox gesture:', error);
+    }
+  }
+
+  startPinch() {
+    const [first, second] = Array.from(this.pointers.values());
+    this.gesture = {
+      type: 'pinch',
+      startDistance: Math.hypot(second.x - first.x, second.y - first.y) || 1,
+      startMid: { x: (first.x + second.x) / 2, y: (first.y + second.y) / 2 },
+      startZoom: { ...this.zoom },
+      center: this.getImageCenter(),
+      moved: true
+    };
+    this.lightboxImage.classList.add('is-dragging');
+  }
+
+  handlePointerMove(e) {
+    try {
+      if (!this.gesture || !this.pointers.has(e.pointerId)) return;
+      this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      const gesture = this.gesture;
+
+      if (gesture.type === 'pinch') {
+        if (this.pointers.size === 2) this.updatePinch(gesture);
+        return;
+      }
+      if (e.pointerId !== gesture.pointerId) return;
+
+      const dx = e.clientX - gesture.startX;
+      const dy = e.clientY - gesture.startY;
+      if (!gesture.moved) {
+        if (Math.hypot(dx, dy) < TAP_SLOP) return;
+        gesture.moved = true;
+        this.lightboxImage.classList.add('is-dragging');
+        // Keep receiving moves if the pointer leaves the overlay
+        if (this.lightbox.setPointerCapture) this.lightbox.setPointerCapture(e.pointerId);
+      }
+
+      if (gesture.type === 'pan') {
+        this.zoom.x = gesture.originX + dx;
+        this.zoom.y = gesture.originY + dy;
+        this.clampPan();
+        this.applyTransform();
+      } else if (Math.abs(dx) >= Math.abs(dy)) {
+        // The image follows the finger sideways, and fades as it is pulled down to close
+        this.lightboxImage.style.transform = `translateX(${dx}px)`;
+        this.lightboxImage.style.opacity = '';
+      } else {
+        const drop = Math.max(0, dy);
+        this.lightboxImage.style.transform = `translateY(${drop}px)`;
+        this.lightboxImage.style.opacity = String(1 - Math.min(drop / 400, 0.6));
+      }
+    } catch (error) {
+      console.error('Error handling lightbox gesture:', error);
+    }
+  }
+
+  // Scale by the change in finger distance around the starting midpoint, and pan as the midpoint moves
+  updatePinch(gesture) {
+    const [first, second] = Array.from(this.pointers.values());
+    const distance = Math.hypot(second.x - first.x, second.y - first.y);
+    const mid = { x: (first.x + second.x) / 2, y: (first.y + second.y) / 2 };
+    const { startZoom, startMid, center } = gesture;
+    const scale = Math.min(MAX_ZOOM, Math.max(1, startZoom.scale * distance / gesture.startDistance));
+    const ratio = scale / startZoom.scale;
+
+    this.zoom = {
+      scale,
+      x: mid.x - center.x - ratio * (startMid.x - center.x - startZoom.x),
+      y: mid.y - center.y - ratio * (startMid.y - center.y - startZoom.y)
+    };
+    this.clampPan();
+    this.applyTransform();
+  }
+
+  handlePointerUp(e) {
+    try {
+      if (!this.pointers.has(e.pointerId)) return;
+      this.pointers.delete(e.pointerId);
+      const gesture = this.gesture;
+      if (!gesture) return;
+
+      if (gesture.type === 'pinch') {
+        this.suppressNextClick = true;
+        const remaining = Array.from(this.pointers.entries())[0];
+        if (remaining && this.zoom.scale > 1) {
+          // Lifting one finger carries on as a pan with the other
+          const [pointerId, point] = remaining;
+          this.gesture = { type: 'pan', pointerId, startX: point.x, startY: point.y, originX: this.zoom.x, originY: this.zoom.y, moved: true };
+        } else if (!remaining) {
+          this.gesture = null;
+          this.lightboxImage.classList.remove('is-dragging');
+          if (this.zoom.scale <= 1) this.resetZoom();
+        }
+        return;
+      }
+      if (e.pointerId !== gesture.pointerId) return;
+
+      this.gesture = null;
+      this.lightboxImage.classList.remove('is-dragging');
+      if (!gesture.moved) {
+        if (e.type === 'pointerup' && gesture.onImage) this.handleTap(e);
+        return;
+      }
+
+      this.suppressNextClick = true;
+      if (gesture.type === 'swipe') {
+        this.finishSwipe(e.type === 'pointerup' ? e.clientX - gesture.startX : 0, e.type === 'pointerup' ? e.clientY - gesture.startY : 0);
+      }
+    } catch (error) {
+      console.error('Error ending lightbox gesture:', error);
+    }
+  }
+
+  // Swipe left or right to move between images, down to close; short swipes snap back
+  finishSwipe(dx, dy) {
+    this.lightboxImage.style.opacity = '';
+    const horizontal = Math.abs(dx) >= Math.abs(dy);
+    if (horizontal && dx <= -SWIPE_THRESHOLD && this.currentIndex < this.images.length - 1) {
+      this.showNext();
+    } else if (horizontal && dx >= SWIPE_THRESHOLD && this.currentIndex > 0) {
+      this.showPrevious();
+    } else if (!horizontal && dy >= SWIPE_THRESHOLD) {
+      this.closeLightbox();
+    } else {
+      this.applyTransform();
+    }
+  }
+
+  // Double-tap zooms in on the tapped point, or back out when already zoomed
+  handleTap(e) {
+    const now = Date.now();
+    const last = this.lastTap;
+    if (last && now - last.time <= DOUBLE_TAP_DELAY && Math.hypot(e.clientX - last.x, e.clientY - last.y) <= TAP_SLOP * 3) {
+      this.lastTap = null;
+      if (this.zoom.scale > 1) {
+        this.resetZoom();
+      } else {
+        this.zoomAt(DOUBLE_TAP_SCALE, e.clientX, e.clientY);
+      }
+      return;
+    }
+    this.lastTap = { time: now, x: e.clientX, y: e.clientY };
+  }
+
+  // Resize image on window resize for responsiveness
+  handleResize() {
+    if (this.isOpen()) this.adjustImageSize();
+  }
+
   handleKeyDown(e) {
-    if (!this.lightbox || this.lightbox.classList.contains('hidden')) return;
+    if (!this.isOpen()) return;
 
     switch (e.key) {
       case 'ArrowLeft':
@@ -217,70 +727,158 @@ updateNavigationButtons() {
         break;
     }
   }
+
+  // Remove the lightbox and its listeners; the next gallery to register builds a fresh one
+  destroy() {
+    try {
+      if (this.isOpen()) this.closeLightbox();
+      document.removeEventListener('keydown', this.handleKeyDown);
+      window.removeEventListener('resize', this.handleResize);
+      if (this.lightbox) this.lightbox.remove();
+      this.lightbox = null;
+      this.gallery = null;
+      this.galleries.clear();
+      this.preloaded.clear();
+      if (sharedLightbox === this) sharedLightbox = null;
+    } catch (error) {
+      console.error('Error destroying lightbox:', error);
+    }
+  }
+}
+
+let sharedLightbox = null;
+
+// The page's lightbox, built the first time a gallery needs it
+const getLightbox = () => {
+  if (!sharedLightbox) sharedLightbox = new Lightbox();
+  return sharedLightbox;
+};
+
+// Gallery: a set of images that open in the shared lightbox
+export class ImageGallery {
+  // options.selector picks the images inside galleryRoot (default: all of them); options.interval and
+  // options.autoplay override the data-slideshow-interval and data-slideshow-autoplay attributes
+  constructor(galleryRoot, options = {}) {
+    this.galleryRoot = galleryRoot;
+    this.images = qSA(options.selector || 'img', galleryRoot).filter(img => img.getAttribute('data-full') || img.src);
+    const configuredInterval = parseInt(options.interval || galleryRoot.getAttribute('data-slideshow-interval'), 10);
+    this.slideshow = {
+      interval: Math.max(MIN_SLIDESHOW_INTERVAL, configuredInterval || DEFAULT_SLIDESHOW_INTERVAL),
+      autoplay: options.autoplay !== undefined ? Boolean(options.autoplay) : galleryRoot.hasAttribute('data-slideshow-autoplay')
+    };
+    this.lightbox = null;
+    // Images given button semantics by this gallery, reverted by destroy()
+    this.focusableImages = [];
+    this.handleClick = this.handleClick.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+
+    if(this.images.length > 0) {
+      this.lightbox = getLightbox();
+      this.lightbox.register(this);
+      this.attachEventListeners();
+    }
+  }
+
+  attachEventListeners() {
+    try {
+      // Gallery images open the lightbox from the keyboard too, and get focus back when it closes
+      this.images.forEach(img => {
+        if (img.closest('a[href], button') || img.hasAttribute('tabindex')) return;
+        img.tabIndex = 0;
+        img.setAttribute('role', 'button');
+        img.setAttribute('aria-haspopup', 'dialog');
+        this.focusableImages.push(img);
+      });
+
+      this.galleryRoot.addEventListener('click', this.handleClick);
+      this.galleryRoot.addEventListener('keydown', this.handleKeyDown);
+    } catch (error) {
+      console.error('Error attaching event listeners to gallery:', error);
+    }
+  }
+
+  // Click on gallery images (unless a gallery nested inside this one has already opened it)
+  handleClick(e) {
+    try {
+      if (e.defaultPrevented) return;
+      const img = e.target.closest('img');
+      if (!img || !this.images.includes(img)) return;
+      e.preventDefault();
+      this.openLightbox(this.images.indexOf(img), img);
+    } catch (error) {
+      console.error('Error handling gallery image click:', error);
+    }
+  }
+
+  handleKeyDown(e) {
+    if (e.defaultPrevented || (e.key !== 'Enter' && e.key !== ' ')) return;
+    const index = this.images.indexOf(e.target);
+    if (index === -1) return;
+    e.preventDefault();
+    this.openLightbox(index, e.target);
+  }
+
+  openLightbox(index, trigger = document.activeElement) {
+    if (this.lightbox) this.lightbox.open(this, index, trigger);
+  }
+
+  // Stop opening the lightbox from this gallery's images and undo the changes made to them
+  destroy() {
+    if (!this.lightbox) return;
+    this.galleryRoot.removeEventListener('click', this.handleClick);
+    this.galleryRoot.removeEventListener('keydown', this.handleKeyDown);
+    this.focusableImages.forEach(img => {
+      img.removeAttribute('tabindex');
+      img.removeAttribute('role');
+      img.removeAttribute('aria-haspopup');
+    });
+    this.focusableImages = [];
+    this.lightbox.unregister(this);
+    this.lightbox = null;
+  }
 }
+
+// Galleries created by initGalleries()
+const galleries = [];
+
 // Initialize all galleries on page
-const initGalleries = () => {
+export const initGalleries = () => {
   try {
+    // Running again (e.g. after the page content changes) starts from a clean slate
+    destroyGalleries();
+
     // Detect galleries by section or container with images
     // Pages like index.html have .brewing-cards with brewing-card articles containing images
     // About page references gallery featuring coffee art and equipment - assuming sections with images
-
-    // Generic galleries: find common container classes that hold multiple images
-    // This example will initialize ImageGallery for any element with 'gallery' class or 'brewing-cards' or 'types-section' etc
     const gallerySelectors = ['.brewing-cards', '.types-section', '.gallery', '.about-content', '.featured-section', '.coffee-type', '.brewing-method'];
+    const containers = qSA(gallerySelectors.join(', '));
 
-    gallerySelectors.forEach(selector => {
-      qSA(selector).forEach(galleryEl => new ImageGallery(galleryEl));
-    });
-// Also check the hero image on index.html for possible enlarged view
+    // Overlapping containers (each .coffee-type inside .types-section, say) form one image set: the outermost
+    const outermost = containers.filter(el => !containers.some(other => other !== el && other.contains(el)));
+    outermost.forEach(galleryEl => galleries.push(new ImageGallery(galleryEl)));
+
+    // The hero image on index.html opens on its own
     const heroSection = qS('#hero');
-    if(heroSection) {
-      const heroImg = qS('.hero-image', heroSection);
-      if(heroImg) {
-        // Wrap hero image in a mini gallery to enable lightbox
-        const heroGallery = document.createElement('div');
-        heroGallery.style.display = 'none'; // Hide div wrapper
-        heroGallery.appendChild(heroImg.cloneNode(true));
-        document.body.appendChild(heroGallery);
-        new ImageGallery(heroGallery); // Initiate but hidden
-        // For usability, also add click handler on hero image to open lightbox
-        heroImg.addEventListener('click', (e) => {
-          e.preventDefault();
-          // Temporarily show gallery div and open lightbox
-          heroGallery.style.display = '';
-          const heroGalleryInstance = new ImageGallery(heroGallery);
-          heroGalleryInstance.openLightbox(0);
-// Once lightbox closes, remove gallery div
-          const observer = new MutationObserver((mutations, obs) => {
-            if(heroGalleryInstance.lightbox.classList.contains('hidden')) {
-              heroGallery.style.display = 'none';
-              obs.disconnect();
-            }
-          });
-          observer.observe(heroGalleryInstance.lightbox, { attributes: true, attributeFilter: ['class'] });
-        });
-      }
+    if(heroSection && !containers.some(el => el.contains(heroSection))) {
+      galleries.push(new ImageGallery(heroSection, { selector: '.hero-image' }));
     }
-
   } catch (error) {
     console.error('Error initializing galleries:', error);
   }
 };
 
-// DOM Ready
-document.addEventListener('DOMContentLoaded', () => {
-  try {
-    initGalleries();
-  } catch (error) {
-    console.error('Error on DOMContentLoaded in gallery.js:', error);
-  }
-});
+// Tear down every gallery from initGalleries(), and with the last one the shared lightbox
+export const destroyGalleries = () => {
+  galleries.splice(0).forEach(gallery => gallery.destroy());
+};
+
+// Run with the other features once the DOM is ready
+registerInit('galleries', initGalleries);
 
 
 
 // Optional: Future enhancements
 // - Support lazy loading images within galleries
-// - Add touch support for swipe gestures on mobile
 // - Gallery filtering or categorization
 // - Integration with gallery lightbox overlays for social sharing or metadata
 // End of gallery.js
\ No newline at end of file
@@ -0,0 +1,45 @@
+// initRegistry.js - Explicit start-up registry for Coffee Lovers features
+// Feature modules call registerInit() when they are imported; app.js calls start() once, and every
+// registered feature then runs in registration order when the DOM is ready. A feature that throws is
+// logged and does not stop the ones after it.
+
+const registry = [];
+let started = false;
+
+// Register a named init function; names appear in error messages and getRegisteredInits()
+export const registerInit = (name, init) => {
+  if (typeof init !== 'function') {
+    console.error(`Error registering ${name}: init is not a function`);
+    return;
+  }
+  if (started) {
+    console.error(`Error registering ${name}: the app has already started`);
+    return;
+  }
+  registry.push({ name, init });
+};
+
+const runInits = () => {
+  registry.forEach(({ name, init }) => {
+    try {
+      init();
+    } catch (error) {
+      console.error(`Error initializing ${name}:`, error);
+    }
+  });
+};
+
+// Run all registered features once the DOM is ready (right away if it already is)
+export const start = () => {
+  if (started) return;
+  started = true;
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', runInits, { once: true });
+  } else {
+    runInits();
+  }
+};
+
+export const getRegisteredInits = () => registry.map(({ name }) => name);
+
+// End of initRegistry.js
@@ -1,11 +1,8 @@
 // main.js - Core functionality for Coffee Lovers website
 
-// Utility: Safe querySelector and querySelectorAll
-const qS = (selector, scope = document) => scope.querySelector(selector);
-const qSA = (selector, scope = document) => Array.from(scope.querySelectorAll(selector));
-
-// Utility: Check if element exists
-const exists = (el) => el !== null && el !== undefined;
+import { qS, qSA, exists, debounce } from './utils.js';
+import { registerInit } from './initRegistry.js';
+import { createFocusTrap, getFocusableElements } from './dialog.js';
 
 // Utility: Get current page filename
 const getCurrentPage = () => {
@@ -131,15 +128,6 @@ const setupAccessibilityHelpers = () => {
   }
 };
 
-// Utility: debounce function to optimize event handlers
-const debounce = (func, wait = 100) => {
-  let timeout;
-  return (...args) => {
-    clearTimeout(timeout);
-    timeout = setTimeout(() => func.apply(this, args), wait);
-  };
-};
-
 // Sticky header on scroll - adds class when scrolled past hero image
 const setupStickyHeader = () => {
   try {
@@ -180,34 +168,25 @@ const setupStickyHeader = () => {
 // Keyboard navigation for skip links and landmarks
 const setupKeyboardNavigation = () => {
   try {
-    // Example: trap focus inside open mobile nav for accessibility
+    // Trap focus inside the open mobile nav (and its toggle button) for accessibility
     const mainNav = qS('#main-nav');
     const toggleBtn = qS('#mobile-nav-toggle');
     if(!mainNav || !toggleBtn) return;
 
-    document.addEventListener('keydown', (event) => {
-      if(event.key !== 'Tab') return;
+    const focusTrap = createFocusTrap(mainNav, {
+      getElements: () => [toggleBtn, ...getFocusableElements(mainNav)]
+    });
 
+    // setupMobileNavToggle() opens and closes the nav; follow its open class
+    const observer = new MutationObserver(() => {
       if(mainNav.classList.contains('open')) {
-        const focusableEls = qSA('a, button, input, textarea, select, [tabindex]:not([tabindex="-1"])', mainNav).filter(el => !el.hasAttribute('disabled'));
-        if(focusableEls.length === 0) return;
-
-        const firstEl = focusableEls[0];
-        const lastEl = focusableEls[focusableEls.length - 1];
-
-        if(event.shiftKey) { // Shift + Tab
-          if(document.activeElement === firstEl) {
-            lastEl.focus();
-            event.preventDefault();
-          }
-        } else { // Tab
-          if(document.activeElement === lastEl) {
-            firstEl.focus();
-            event.preventDefault();
-          }
-        }
+        focusTrap.activate(toggleBtn);
+      } else {
+        // Escape already returns focus to the toggle, and a click elsewhere keeps its own focus
+        focusTrap.deactivate({ restoreFocus: false });
       }
     });
+    observer.observe(mainNav, { attributes: true, attributeFilter: ['class'] });
   } catch (error) {
     console.error('Error setting up keyboard navigation:', error);
   }
@@ -233,25 +212,16 @@ const setupFocusOutlineHandling = () => {
   }
 };
 
-// Initialize all core features
-const initCoreFeatures = () => {
-  highlightActiveNavLink();
-  setupMobileNavToggle();
-  setupSmoothScrolling();
-  setupAccessibilityHelpers();
-  setupStickyHeader();
-  setupKeyboardNavigation();
-  setupFocusOutlineHandling();
-};
-// Expose a public API or run on DOMContentLoaded
-document.addEventListener('DOMContentLoaded', () => {
+// Send the contact form through the shared inquiry queue (inquiryQueue.js, loaded on contact.html only)
+const setupContactForm = () => {
   try {
-    initCoreFeatures();
+    const form = qS('#contact-form');
+    if (!exists(form) || !window.InquiryQueue) return;
+    window.InquiryQueue.bindForm(form);
   } catch (error) {
-    console.error('Error initializing core features:', error);
+    console.error('Error setting up contact form:', error);
   }
-});
-
+};
 
 // Additional global event delegation example: External links open in new tab
 const enhanceExternalLinks = () => {
@@ -274,8 +244,6 @@ const enhanceExternalLinks = () => {
   }
 };
 
-document.addEventListener('DOMContentLoaded', enhanceExternalLinks);
-
 
 // Defensive support for later UI enhancements or dynamic content
 const setupDynamicUIUpdates = () => {
@@ -287,7 +255,17 @@ const setupDynamicUIUpdates = () => {
   }
 };
 
-document.addEventListener('DOMContentLoaded', setupDynamicUIUpdates);
+// Register core features in start-up order (run by app.js through initRegistry.js)
+registerInit('active nav link', highlightActiveNavLink);
+registerInit('mobile navigation toggle', setupMobileNavToggle);
+registerInit('smooth scrolling', setupSmoothScrolling);
+registerInit('accessibility helpers', setupAccessibilityHelpers);
+registerInit('sticky header', setupStickyHeader);
+registerInit('keyboard navigation', setupKeyboardNavigation);
+registerInit('focus outline handling', setupFocusOutlineHandling);
+registerInit('contact form', setupContactForm);
+registerInit('external links', enhanceExternalLinks);
+registerInit('dynamic UI updates', setupDynamicUIUpdates);
 
 // Additional utilities and handlers could be added here but as per scope main.js covers global/core site functions
 
@@ -0,0 +1,19 @@
+// utils.js - Shared DOM helpers and utilities for Coffee Lovers modules
+
+// Utility: Safe querySelector and querySelectorAll
+export const qS = (selector, scope = document) => scope.querySelector(selector);
+export const qSA = (selector, scope = document) => Array.from(scope.querySelectorAll(selector));
+
+// Utility: Check if element exists
+export const exists = (el) => el !== null && el !== undefined;
+
+// Utility: debounce function to optimize event handlers
+export const debounce = (func, wait = 100) => {
+  let timeout;
+  return (...args) => {
+    clearTimeout(timeout);
+    timeout = setTimeout(() => func(...args), wait);
+  };
+};
+
+// End of utils.js
@@ -0,0 +1,70 @@
+// @vitest-environment jsdom
+// app.test.js - Start-up checks for every page: all registered features run, and galleries get their lightbox
+
+import { readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+const SITE_ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+const PAGES = [
+  { page: 'index.html', hasGallery: true },
+  { page: 'pages/about.html', hasGallery: false },
+  { page: 'pages/brewing.html', hasGallery: true },
+  { page: 'pages/types.html', hasGallery: true },
+  { page: 'pages/contact.html', hasGallery: false }
+];
+
+// Names of the inits the registry actually called, in order
+const ran = [];
+
+// The real registry, with each init wrapped to record that it ran
+const mockRegistry = () => vi.doMock('../js/initRegistry.js', async (importOriginal) => {
+  const registry = await importOriginal();
+  return {
+    ...registry,
+    registerInit: (name, init) => registry.registerInit(name, () => {
+      ran.push(name);
+      return init();
+    })
+  };
+});
+
+// Put a page's markup in the document; scripts inserted this way never run, app.js is imported instead
+const loadPage = (page) => {
+  const html = readFileSync(join(SITE_ROOT, page), 'utf8');
+  document.documentElement.innerHTML = html.replace(/^[\s\S]*?<html[^>]*>|<\/html>[\s\S]*$/gi, '');
+};
+
+describe.each(PAGES)('$page', ({ page, hasGallery }) => {
+  let consoleError;
+
+  beforeEach(() => {
+    // Fresh modules for every page, so the registry starts again
+    vi.resetModules();
+    mockRegistry();
+    ran.length = 0;
+    consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+    loadPage(page);
+  });
+
+  afterEach(() => {
+    consoleError.mockRestore();
+  });
+
+  it('runs every registered feature without logging an error', async () => {
+    await import('../js/app.js');
+    const { getRegisteredInits } = await import('../js/initRegistry.js');
+
+    expect(getRegisteredInits()).toHaveLength(11);
+    expect(ran).toEqual(getRegisteredInits());
+    expect(consoleError).not.toHaveBeenCalled();
+  });
+
+  it(hasGallery ? 'builds one shared lightbox' : 'builds no lightbox', async () => {
+    await import('../js/app.js');
+
+    expect(document.querySelectorAll('.lightbox')).toHaveLength(hasGallery ? 1 : 0);
+  });
+});
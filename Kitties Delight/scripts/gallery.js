@@ -173,6 +173,10 @@ const largeSrc = item.getAttribute('data-large') || item.src || item.getAttribut
   }
 // Lazy load gallery images
   function initLazyLoadGalleryImages() {
+    if (window.ImageLoader) {
+      window.ImageLoader.observe(galleryContainer);
+      return;
+    }
     if (!('IntersectionObserver' in window)) {
       galleryItems.forEach(img => {
         const src = img.getAttribute('data-src');
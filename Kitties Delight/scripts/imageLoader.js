@@ -0,0 +1,171 @@
+// Generated from shared/imageLoader.js by tools/syncShared.js. Edit that file, not this copy.
+// imageLoader.js - Lazy image loading with responsive sources, blur-up placeholders and a broken-image fallback
+// Shared by the Small Business Office Apartments and Kitties Delight sites;
+// edited in shared/ and copied into each site by tools/syncShared.js.
+//
+//   <img src="images/responsive/photo-placeholder.jpg" data-src="images/photo.jpg"
+//        data-srcset="images/responsive/photo-480.jpg 480w, images/responsive/photo-800.jpg 800w, images/photo.jpg 1024w"
+//        data-sizes="(min-width: 768px) 50vw, 100vw" alt="...">
+//
+// The small src (optional) is shown blurred until the full image has been fetched and decoded, then the image fades in.
+// Variants and placeholders come from tools/resizeImages.js. If the srcset variants are missing the loader
+// falls back to data-src, and images that cannot load at all show a fallback graphic and are reported.
+
+'use strict';
+
+(() => {
+  // Start loading a little before images scroll into view
+  const ROOT_MARGIN = '100px 0px';
+
+  // Neutral "picture unavailable" graphic, inline so it can never fail to load itself
+  const FALLBACK_IMAGE = `data:image/svg+xml,${encodeURIComponent(
+    '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 160 120">' +
+    '<rect width="160" height="120" fill="#eeeeee"/>' +
+    '<path d="M50 82l20-24 14 16 10-12 16 20z" fill="#bbbbbb"/>' +
+    '<circle cx="62" cy="46" r="8" fill="#bbbbbb"/>' +
+    '<path d="M40 30l80 60" stroke="#999999" stroke-width="4" stroke-linecap="round"/>' +
+    '</svg>'
+  )}`;
+
+  const LAZY_SELECTOR = 'img[data-src], img[data-srcset]';
+
+  let observer = null;
+  // Load failures reported so far, for debugging from the console
+  const failures = [];
+
+  // ===== Reporting =====
+  // imageloader:error {src} bubbles from the image so pages can log or count failures
+  const reportFailure = (img, src) => {
+    failures.push({src, page: window.location.pathname, at: new Date().toISOString()});
+    console.error('Error loading image:', src);
+    img.dispatchEvent(new CustomEvent('imageloader:error', {bubbles: true, detail: {src}}));
+  };
+
+  const showFallback = (img, src) => {
+    if (img.classList.contains('img-broken')) return;
+    img.classList.remove('img-loading');
+    img.classList.add('img-broken');
+    img.removeAttribute('srcset');
+    img.removeAttribute('sizes');
+    img.src = FALLBACK_IMAGE;
+    reportFailure(img, src);
+  };
+
+  // ===== Loading =====
+  // Fetch and decode off-screen so the visible image swaps in one step
+  const fetchImage = ({src, srcset, sizes}) => new Promise((resolve, reject) => {
+    const preload = new Image();
+    preload.onload = () => resolve();
+    preload.onerror = () => reject(new Error(`Could not load ${srcset || src}`));
+    if (sizes) preload.sizes = sizes;
+    if (srcset) preload.srcset = srcset;
+    if (src) preload.src = src;
+  });
+
+  const decodeImage = img => (typeof img.decode === 'function' ? img.decode().catch(() => undefined) : Promise.resolve());
+
+  const applySources = (img, {src, srcset, sizes}) => {
+    if (sizes) img.sizes = sizes;
+    if (srcset) {
+      img.srcset = srcset;
+    } else {
+      img.removeAttribute('srcset');
+    }
+    if (src) img.src = src;
+  };
+
+  const loadImage = img => {
+    const sources = {
+      src: img.getAttribute('data-src') || '',
+      srcset: img.getAttribute('data-srcset') || '',
+      sizes: img.getAttribute('data-sizes') || ''
+    };
+    if (!sources.src && !sources.srcset) return Promise.resolve();
+    ['data-src', 'data-srcset', 'data-sizes'].forEach(name => img.removeAttribute(name));
+
+    img.classList.add('img-loading');
+    // A missing srcset (variants not generated yet) should not hide an image that exists
+    return fetchImage(sources)
+      .catch(error => {
+        if (!sources.srcset || !sources.src) throw error;
+        sources.srcset = '';
+        sources.sizes = '';
+        return fetchImage(sources);
+      })
+      .then(() => {
+        applySources(img, sources);
+        return decodeImage(img);
+      })
+      .then(() => {
+        img.classList.remove('img-loading');
+        img.classList.add('img-loaded');
+      })
+      .catch(() => showFallback(img, sources.src || sources.srcset));
+  };
+
+  // ===== Observing =====
+  // Load lazy images inside root as they approach the viewport (immediately without IntersectionObserver)
+  const observe = (root = document) => {
+    const images = Array.from(root.querySelectorAll(LAZY_SELECTOR));
+    if (root.matches && root.matches(LAZY_SELECTOR)) images.push(root);
+
+    if (!('IntersectionObserver' in window)) {
+      images.forEach(loadImage);
+      return;
+    }
+
+    if (!observer) {
+      observer = new IntersectionObserver((entries, obs) => {
+        entries.forEach(entry => {
+          if (!entry.isIntersecting) return;
+          obs.unobserve(entry.target);
+          loadImage(entry.target);
+        });
+      }, {rootMargin: ROOT_MARGIN});
+    }
+    images.forEach(img => observer.observe(img));
+  };
+
+  // Plain <img src> images that fail get the same fallback; lazy images are handled by loadImage
+  const handleImageError = event => {
+    const img = event.target;
+    if (!(img instanceof HTMLImageElement) || img.classList.contains('img-broken')) return;
+    // An empty src is a placeholder waiting for a script to fill it in, not a failure
+    if (!img.getAttribute('src') || img.classList.contains('img-loading') || img.hasAttribute('data-src') || img.hasAttribute('data-srcset')) return;
+    showFallback(img, img.currentSrc || img.getAttribute('src'));
+  };
+
+  // Images whose error fired before this script ran (SVGs may legitimately have no natural width)
+  const checkBrokenImages = () => {
+    Array.from(document.images).forEach(img => {
+      const src = img.getAttribute('src');
+      if (src && !/\.svg(?:[?#]|$)/i.test(src) && img.complete && img.naturalWidth === 0 && !img.hasAttribute('data-src')) {
+        showFallback(img, img.currentSrc || img.getAttribute('src'));
+      }
+    });
+  };
+
+  // Error events do not bubble, so listen in the capture phase
+  document.addEventListener('error', handleImageError, true);
+
+  // Initialize module on DOM ready
+  const init = () => {
+    try {
+      checkBrokenImages();
+    } catch (error) {
+      console.error('Error initializing image loader:', error);
+    }
+  };
+
+  window.ImageLoader = {
+    observe,
+    load: loadImage,
+    getFailures: () => failures.slice()
+  };
+
+  // Event listener to run on DOMContentLoaded
+  document.addEventListener('DOMContentLoaded', init);
+
+})();
+
+//# sourceURL=imageLoader.js
@@ -177,6 +177,9 @@
         console.error('Error validating form:', e);
       }
     });
+
+    // Sending, with an offline queue, is shared with the other sites (inquiryQueue.js, contact page only)
+    if (window.InquiryQueue) window.InquiryQueue.bindForm(form);
   };
 
   // Email validation regex
@@ -208,6 +211,11 @@ if (['ArrowDown', 'ArrowRight'].includes(e.key)) {
 
   // Initialize lazy loading for images with data-src attribute
   const initLazyLoadImages = () => {
+    // Shared loader (imageLoader.js) adds srcset, blur-up placeholders and a broken-image fallback
+    if (window.ImageLoader) {
+      window.ImageLoader.observe();
+      return;
+    }
     if (!('IntersectionObserver' in window)) {
       // Fallback to loading all images immediately
       const imgs = selectAll('img[data-src]');
@@ -0,0 +1,207 @@
+// contactInquiry.js - Listing-aware behavior for the contact.html form
+// Routes the inquiry by type and unit when a visitor arrives from a listing (contact.html?listing=listing2&type=tour):
+// shows a read-only summary of the unit, pre-fills the subject and message, and reveals fields for the inquiry type.
+// The hidden listingId field is the only unit sent; the tour picker (tourBooking.js) follows it and can change it.
+
+'use strict';
+
+(() => {
+  // Cache elements
+  const contactForm = document.getElementById('contact-form');
+  const messageField = document.getElementById('message');
+  const subjectField = document.getElementById('subject');
+  const typeSelect = document.getElementById('inquiry-type');
+  const listingSummary = document.getElementById('inquiry-listing');
+  const listingIdField = document.getElementById('inquiry-listing-id');
+  const tourListingSelect = document.getElementById('tour-listing');
+
+  // Catalog API provided by listingsData.js
+  const catalog = window.OfficeApartments && window.OfficeApartments.listings;
+
+  // Supported inquiry types: subject line and opening line of the message for each
+  const inquiryTypes = {
+    general: {
+      subject: () => 'General question',
+      intro: title => `Hello, I have a question about ${title}.`
+    },
+    availability: {
+      subject: () => 'Availability',
+      intro: title => `Hello, I would like to know when ${title} is available.`
+    },
+    tour: {
+      subject: () => 'Tour request',
+      intro: title => `Hello, I would like to request a tour of ${title}.`
+    },
+    leasing: {
+      subject: () => 'Leasing inquiry',
+      intro: title => `Hello, I am interested in leasing ${title}.`
+    }
+  };
+
+  // Unit the inquiry is about, and the last subject and message we filled in (so typed text is never replaced)
+  let listingRecords = [];
+  let currentRecord = null;
+  let autoSubject = '';
+  let autoMessage = '';
+
+  // Read the listing and inquiry type from the query string
+  const getInquiryParams = () => {
+    const params = new URLSearchParams(window.location.search);
+    const listingId = (params.get('listing') || '').trim();
+    const type = (params.get('type') || '').trim().toLowerCase();
+    return {
+      listingId,
+      // Coming from a listing without a type is an availability question
+      type: inquiryTypes[type] ? type : (listingId ? 'availability' : 'general')
+    };
+  };
+
+  const getType = () => (typeSelect && inquiryTypes[typeSelect.value] ? typeSelect.value : 'general');
+
+  // ===== Subject & Message =====
+  const buildSubject = () => {
+    const label = inquiryTypes[getType()].subject();
+    return currentRecord ? `${label}: ${currentRecord.title} (${currentRecord.id})` : label;
+  };
+
+  const updateSubject = () => {
+    if (!subjectField) return;
+    if (subjectField.value.trim() && subjectField.value !== autoSubject) return;
+    autoSubject = buildSubject();
+    subjectField.value = autoSubject;
+  };
+
+  // Pre-fill the message for the requested unit without overwriting anything the visitor typed
+  const updateMessage = () => {
+    if (!messageField) return;
+    if (messageField.value.trim() && messageField.value !== autoMessage) return;
+    const intro = inquiryTypes[getType()].intro;
+    autoMessage = currentRecord ? `${intro(currentRecord.title)} (Listing reference: ${currentRecord.id})` : '';
+    messageField.value = autoMessage;
+  };
+
+  // ===== Type-Specific Fields =====
+  // Fieldsets list the types they belong to; hidden ones are disabled so they are neither validated nor sent
+  const updateTypeFields = () => {
+    const type = getType();
+    contactForm.querySelectorAll('fieldset[data-inquiry-types]').forEach(fieldset => {
+      const active = fieldset.dataset.inquiryTypes.split(/\s+/).includes(type);
+      fieldset.hidden = !active;
+      fieldset.disabled = !active;
+    });
+  };
+
+  // ===== Unit Summary =====
+  // Point the tour picker at the current unit; the change event lets tourBooking.js redraw its days.
+  // Until its options arrive with the tour schedule, tourBooking.js picks the unit up from listingId itself.
+  const syncTourListing = () => {
+    const id = currentRecord ? currentRecord.id : '';
+    if (!tourListingSelect || tourListingSelect.value === id) return;
+    if (id && !Array.from(tourListingSelect.options).some(option => option.value === id)) return;
+    tourListingSelect.value = id;
+    tourListingSelect.dispatchEvent(new Event('change', {bubbles: true}));
+  };
+
+  const renderListingSummary = record => {
+    currentRecord = record;
+    if (listingIdField) listingIdField.value = record ? record.id : '';
+    syncTourListing();
+    if (!listingSummary) return;
+
+    listingSummary.hidden = !record;
+    if (!record) return;
+
+    listingSummary.querySelector('.inquiry-listing-title').textContent = record.title;
+    listingSummary.querySelector('.inquiry-listing-meta').textContent =
+      `${catalog.formatSize(record.squareFeet)} · ${catalog.formatPrice(record.monthlyPrice)}`;
+    listingSummary.querySelector('.inquiry-listing-availability').textContent = catalog.formatAvailability(record.availableFrom);
+
+    const image = listingSummary.querySelector('.inquiry-listing-image');
+    if (image) {
+      const primary = record.images[0];
+      image.hidden = !primary;
+      if (primary) {
+        image.src = catalog.resolveAsset(primary.src);
+        image.alt = primary.alt;
+      }
+    }
+  };
+
+  const selectListing = record => {
+    renderListingSummary(record);
+    updateSubject();
+    updateMessage();
+  };
+
+  // "Not this unit" turns the inquiry back into a general one about no particular listing
+  const clearListing = () => {
+    selectListing(null);
+    if (typeSelect) typeSelect.focus();
+  };
+
+  // Initialize module on DOM ready
+  const init = () => {
+    try {
+      if (!contactForm || !catalog) {
+        // Not on contact.html page, safely abort
+        return;
+      }
+
+      const {listingId, type} = getInquiryParams();
+      if (typeSelect) {
+        typeSelect.value = type;
+        typeSelect.addEventListener('change', () => {
+          updateTypeFields();
+          updateSubject();
+          updateMessage();
+        });
+      }
+      updateTypeFields();
+      updateSubject();
+
+      if (listingSummary) {
+        listingSummary.addEventListener('click', event => {
+          if (event.target.closest('.inquiry-listing-clear')) clearListing();
+        });
+      }
+
+      // Choosing a unit to tour makes it the unit the inquiry is about
+      if (tourListingSelect) {
+        tourListingSelect.addEventListener('change', () => {
+          const id = tourListingSelect.value;
+          if (id === (currentRecord ? currentRecord.id : '')) return;
+          selectListing(listingRecords.find(item => item.id === id) || null);
+        });
+      }
+
+      // A reset clears the select and subject; put the routed type and unit back
+      contactForm.addEventListener('reset', () => setTimeout(() => {
+        if (typeSelect) typeSelect.value = getInquiryParams().type;
+        renderListingSummary(currentRecord);
+        autoSubject = '';
+        autoMessage = '';
+        updateTypeFields();
+        updateSubject();
+        updateMessage();
+      }, 0));
+
+      catalog.loadListings()
+        .then(records => {
+          listingRecords = records;
+          const record = listingId ? records.find(item => item.id === listingId) : null;
+          if (record) selectListing(record);
+        })
+        .catch(error => {
+          console.error('Error loading listing for contact form:', error);
+        });
+    } catch (error) {
+      console.error('Error initializing contactInquiry module:', error);
+    }
+  };
+
+  // Event listener to run on DOMContentLoaded
+  document.addEventListener('DOMContentLoaded', init);
+
+})();
+
+//# sourceURL=contactInquiry.js
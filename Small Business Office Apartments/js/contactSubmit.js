@@ -0,0 +1,148 @@
+// contactSubmit.js - Sends the contact.html inquiry form to the inquiries endpoint
+// Shows loading, success, queued (offline) and retry-able error states for #contact-form.
+// The endpoint comes from the form's data-inquiry-endpoint attribute; server/mockServer.js provides one for local development.
+
+'use strict';
+
+(() => {
+  // Sending and the offline queue come from inquiryQueue.js, shared with the other sites' contact forms
+  const inquiries = window.InquiryQueue;
+
+  // Cache elements
+  const contactForm = document.getElementById('contact-form');
+  const submitBtn = document.getElementById('submit-btn');
+  const successPanel = document.getElementById('contact-success');
+  const errorPanel = document.getElementById('contact-error');
+  const queuedPanel = document.getElementById('contact-queued');
+
+  let sending = false;
+
+  // ===== UI States =====
+  const setLoading = loading => {
+    sending = loading;
+    contactForm.setAttribute('aria-busy', String(loading));
+    if (submitBtn) {
+      if (!submitBtn.dataset.label) submitBtn.dataset.label = submitBtn.textContent;
+      submitBtn.disabled = loading;
+      submitBtn.textContent = loading ? 'Sending…' : submitBtn.dataset.label;
+    }
+  };
+
+  const showSuccess = data => {
+    if (errorPanel) errorPanel.hidden = true;
+    if (!successPanel) return;
+    if (queuedPanel) queuedPanel.hidden = true;
+
+    const reference = successPanel.querySelector('.form-status-reference');
+    if (reference) {
+      reference.textContent = data && data.id ? `Your reference number is ${data.id}.` : '';
+    }
+    contactForm.hidden = true;
+    successPanel.hidden = false;
+    successPanel.focus();
+  };
+
+  // The inquiry is stored on this device; inquiryQueue.js sends it when the connection returns
+  const showQueued = () => {
+    if (errorPanel) errorPanel.hidden = true;
+    if (!queuedPanel) return;
+    contactForm.hidden = true;
+    queuedPanel.hidden = false;
+    queuedPanel.focus();
+  };
+
+  // Keep the queued panel in step with the queue, including inquiries left from an earlier visit
+  const updateQueueStatus = size => {
+    if (!queuedPanel) return;
+    const count = queuedPanel.querySelector('.form-status-count');
+    if (size) {
+      if (count) count.textContent = size > 1 ? `${size} messages are waiting to be sent.` : '';
+      queuedPanel.hidden = false;
+      queuedPanel.classList.remove('is-sent');
+      queuedPanel.querySelector('.form-status-heading').textContent = 'Queued — will send when online';
+    } else if (!queuedPanel.hidden && !queuedPanel.classList.contains('is-sent')) {
+      if (count) count.textContent = '';
+      queuedPanel.classList.add('is-sent');
+      queuedPanel.querySelector('.form-status-heading').textContent = 'Your queued message has been sent';
+    }
+  };
+
+  const showError = error => {
+    console.error('Error sending contact inquiry:', error);
+    if (!errorPanel) return;
+
+    const detail = errorPanel.querySelector('.form-status-detail');
+    if (detail) {
+      // Errors with a status are answers from the server (such as a rejected field); the rest are connection problems
+      if (error && error.status) {
+        detail.textContent = `${error.message} Your message is still in the form below.`;
+      } else {
+        detail.textContent = error && error.name === 'AbortError'
+          ? 'The server took too long to answer.'
+          : 'We could not reach our server. Your message is still in the form below.';
+      }
+    }
+    errorPanel.hidden = false;
+  };
+
+  // The form stays visible after a failure, so a retry sends whatever it holds now
+  const submitForm = () => {
+    if (sending || !contactForm.checkValidity()) return;
+    if (errorPanel) errorPanel.hidden = true;
+    setLoading(true);
+
+    inquiries.send(inquiries.getEndpoint(contactForm), inquiries.serializeForm(contactForm))
+      .then(result => (result.queued ? showQueued() : showSuccess(result.data)))
+      .catch(showError)
+      .finally(() => setLoading(false));
+  };
+
+  // Return to an empty form after a successful send
+  const startOver = () => {
+    contactForm.reset();
+    successPanel.hidden = true;
+    if (queuedPanel && queuedPanel.classList.contains('is-sent')) queuedPanel.hidden = true;
+    contactForm.hidden = false;
+    const firstField = contactForm.querySelector('input, textarea, select');
+    if (firstField) firstField.focus();
+  };
+
+  // ===== Initialization =====
+  const init = () => {
+    try {
+      if (!contactForm || !inquiries) {
+        // Not on contact.html page, safely abort
+        return;
+      }
+
+      // main.js reports invalid fields; this handler only sends forms that pass
+      contactForm.addEventListener('submit', event => {
+        event.preventDefault();
+        submitForm();
+      });
+
+      if (errorPanel) {
+        errorPanel.addEventListener('click', event => {
+          if (event.target.closest('.form-status-retry')) submitForm();
+        });
+      }
+
+      [successPanel, queuedPanel].forEach(panel => {
+        if (!panel) return;
+        panel.addEventListener('click', event => {
+          if (event.target.closest('.form-status-again')) startOver();
+        });
+      });
+
+      document.addEventListener('inquiryqueue:change', event => updateQueueStatus(event.detail.size));
+    } catch (error) {
+      console.error('Error initializing contactSubmit module:', error);
+    }
+  };
+
+  // Event listener to run on DOMContentLoaded
+  document.addEventListener('DOMContentLoaded', init);
+
+})();
+
+//# sourceURL=contactSubmit.js
@@ -0,0 +1,282 @@
+// formValidation.js - Inline, field-level validation for forms marked data-inline-validation (#contact-form)
+// Shows a message under each invalid field (linked with aria-describedby) and, on submit, a focusable
+// error summary at the top of the form that links to each invalid field. main.js leaves these forms alone.
+
+'use strict';
+
+(() => {
+  // Message length limits for the contact form
+  const MESSAGE_MIN_LENGTH = 20;
+  const MESSAGE_MAX_LENGTH = 2000;
+
+  // Digits with optional leading +, spaces, dots, dashes and brackets; 7-15 digits in total
+  const PHONE_PATTERN = /^\+?[\d\s().-]+$/;
+  const PHONE_MIN_DIGITS = 7;
+  const PHONE_MAX_DIGITS = 15;
+
+  // Messages for the browser's built-in checks, by field name; other fields fall back to their label
+  const fieldMessages = {
+    name: {valueMissing: 'Enter your name.'},
+    email: {
+      valueMissing: 'Enter your email address.',
+      typeMismatch: 'Enter an email address in the format name@example.com.'
+    },
+    message: {valueMissing: 'Enter a message.'},
+    teamSize: {
+      rangeUnderflow: 'Team size must be at least 1 person.',
+      rangeOverflow: 'For teams over 500 people, tell us about your needs in the message.',
+      stepMismatch: 'Enter team size as a whole number.',
+      badInput: 'Enter team size as a number.'
+    },
+    budgetMonthly: {
+      rangeUnderflow: 'Budget cannot be negative.',
+      badInput: 'Enter your budget as a number.'
+    }
+  };
+
+  // Extra rules, by field name; each returns an error message or '' when the value is fine
+  const fieldRules = {
+    phone: value => {
+      if (!value) return '';
+      const digits = value.replace(/\D/g, '').length;
+      if (!PHONE_PATTERN.test(value) || digits < PHONE_MIN_DIGITS || digits > PHONE_MAX_DIGITS) {
+        return 'Enter a phone number using digits, spaces, dashes or brackets, like (123) 456-7890 or +1 123 456 7890.';
+      }
+      return '';
+    },
+    message: value => {
+      if (!value) return '';
+      if (value.length < MESSAGE_MIN_LENGTH) {
+        return `Your message must be at least ${MESSAGE_MIN_LENGTH} characters (currently ${value.length}).`;
+      }
+      if (value.length > MESSAGE_MAX_LENGTH) {
+        return `Your message must be ${MESSAGE_MAX_LENGTH} characters or fewer (currently ${value.length}).`;
+      }
+      return '';
+    }
+  };
+
+  // Fields that have shown an error keep validating as the visitor types
+  const touchedFields = new WeakSet();
+
+  // ===== Helpers =====
+  const getFields = form => Array.from(form.elements).filter(el => el.name && el.willValidate && !el.disabled);
+
+  const getLabelText = field => {
+    const label = field.labels && field.labels[0];
+    return label ? label.textContent.replace(/\*/g, '').replace(/:$/, '').trim() : field.name;
+  };
+
+  const getErrorId = field => `${field.id || field.name}-error`;
+
+  // Message for a field's current value, or '' when it is valid
+  const getFieldError = field => {
+    field.setCustomValidity('');
+    const value = typeof field.value === 'string' ? field.value.trim() : '';
+    const messages = fieldMessages[field.name] || {};
+    const {validity} = field;
+
+    if (validity.valueMissing) return messages.valueMissing || `${getLabelText(field)} is required.`;
+    if (!validity.valid) {
+      const failedCheck = Object.keys(messages).find(key => validity[key]);
+      return failedCheck ? messages[failedCheck] : field.validationMessage;
+    }
+
+    const rule = fieldRules[field.name];
+    const ruleError = rule ? rule(value) : '';
+    // Keep checkValidity() in step so other scripts (contactSubmit.js) see the same result
+    if (ruleError) field.setCustomValidity(ruleError);
+    return ruleError;
+  };
+
+  // ===== Field Messages =====
+  const getErrorElement = field => {
+    const id = getErrorId(field);
+    let errorEl = document.getElementById(id);
+    if (!errorEl) {
+      errorEl = document.createElement('p');
+      errorEl.id = id;
+      errorEl.className = 'field-error';
+      errorEl.hidden = true;
+      const group = field.closest('.form-group');
+      if (group) {
+        group.appendChild(errorEl);
+      } else {
+        field.insertAdjacentElement('afterend', errorEl);
+      }
+    }
+    return errorEl;
+  };
+
+  // Add or remove the error message id without disturbing other aria-describedby entries (hints, status)
+  const setDescribedBy = (field, id, linked) => {
+    const ids = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean).filter(item => item !== id);
+    if (linked) ids.push(id);
+    if (ids.length) {
+      field.setAttribute('aria-describedby', ids.join(' '));
+    } else {
+      field.removeAttribute('aria-describedby');
+    }
+  };
+
+  const showFieldError = (field, message) => {
+    // Fields that never had an error need no message element
+    if (!message && !document.getElementById(getErrorId(field))) {
+      if (field.hasAttribute('aria-invalid')) field.setAttribute('aria-invalid', 'false');
+      return;
+    }
+    const errorEl = getErrorElement(field);
+    errorEl.textContent = message;
+    errorEl.hidden = !message;
+    field.setAttribute('aria-invalid', String(Boolean(message)));
+    setDescribedBy(field, errorEl.id, Boolean(message));
+    const group = field.closest('.form-group');
+    if (group) group.classList.toggle('has-error', Boolean(message));
+  };
+
+  const validateField = field => {
+    const message = getFieldError(field);
+    showFieldError(field, message);
+    return message;
+  };
+
+  // ===== Error Summary =====
+  const getSummary = form => {
+    let summary = form.querySelector('.error-summary');
+    if (!summary) {
+      summary = document.createElement('div');
+      summary.className = 'error-summary';
+      summary.setAttribute('role', 'alert');
+      summary.setAttribute('tabindex', '-1');
+      summary.hidden = true;
+      summary.innerHTML = '<h3 class="error-summary-title"></h3><ul class="error-summary-list"></ul>';
+      form.insertBefore(summary, form.firstChild);
+    }
+    return summary;
+  };
+
+  const renderSummary = (form, errors) => {
+    const summary = getSummary(form);
+    summary.hidden = errors.length === 0;
+    if (!errors.length) return summary;
+
+    // data-error-summary-subject names what the form is about, for forms other than the contact form
+    const subject = form.dataset.errorSummarySubject || 'your message';
+    summary.querySelector('.error-summary-title').textContent =
+      `There ${errors.length === 1 ? 'is a problem' : `are ${errors.length} problems`} with ${subject}`;
+
+    const list = summary.querySelector('.error-summary-list');
+    list.textContent = '';
+    errors.forEach(({field, message}) => {
+      const item = document.createElement('li');
+      const link = document.createElement('a');
+      link.href = `#${field.id}`;
+      link.dataset.fieldId = field.id;
+      link.textContent = message;
+      item.appendChild(link);
+      list.appendChild(item);
+    });
+    return summary;
+  };
+
+  // Summary entries disappear as their fields are fixed
+  const refreshSummary = form => {
+    const summary = form.querySelector('.error-summary');
+    if (!summary || summary.hidden) return;
+    const errors = getFields(form)
+      .filter(field => touchedFields.has(field))
+      .map(field => ({field, message: getFieldError(field)}))
+      .filter(entry => entry.message);
+    renderSummary(form, errors);
+  };
+
+  const clearErrors = form => {
+    getFields(form).forEach(field => {
+      touchedFields.delete(field);
+      field.setCustomValidity('');
+      showFieldError(field, '');
+    });
+    renderSummary(form, []);
+  };
+
+  // ===== Form Wiring =====
+  const enhanceForm = form => {
+    form.addEventListener('submit', event => {
+      const errors = getFields(form)
+        .map(field => {
+          touchedFields.add(field);
+          return {field, message: validateField(field)};
+        })
+        .filter(entry => entry.message);
+
+      if (!errors.length) {
+        renderSummary(form, []);
+        return;
+      }
+
+      event.preventDefault();
+      renderSummary(form, errors).focus();
+    });
+
+    // Validate a field once the visitor leaves it, then live while they correct it
+    form.addEventListener('focusout', event => {
+      const field = event.target;
+      if (!field.name || !field.willValidate || !field.value) return;
+      touchedFields.add(field);
+      validateField(field);
+      refreshSummary(form);
+    });
+
+    form.addEventListener('input', event => {
+      const field = event.target;
+      if (!touchedFields.has(field)) return;
+      validateField(field);
+      refreshSummary(form);
+    });
+
+    // Summary links move focus to the field instead of only scrolling to it
+    form.addEventListener('click', event => {
+      const link = event.target.closest('.error-summary a');
+      if (!link) return;
+      const field = document.getElementById(link.dataset.fieldId);
+      if (!field) return;
+      event.preventDefault();
+      event.stopPropagation();
+      field.focus();
+      field.scrollIntoView({block: 'center'});
+    });
+
+    form.addEventListener('reset', () => setTimeout(() => clearErrors(form), 0));
+  };
+
+  // Let page scripts add rules for their own fields, such as a uniqueness check
+  const addRule = (name, rule) => {
+    fieldRules[name] = rule;
+  };
+
+  // ===== Initialization =====
+  const init = () => {
+    try {
+      const forms = document.querySelectorAll('form[data-inline-validation]');
+      if (!forms.length) {
+        // No forms use inline validation on this page, safely abort
+        return;
+      }
+      forms.forEach(enhanceForm);
+    } catch (error) {
+      console.error('Error initializing formValidation module:', error);
+    }
+  };
+
+  // Expose rule registration for other scripts
+  window.OfficeApartments = window.OfficeApartments || {};
+  window.OfficeApartments.validation = {
+    addRule
+  };
+
+  // Event listener to run on DOMContentLoaded
+  document.addEventListener('DOMContentLoaded', init);
+
+})();
+
+//# sourceURL=formValidation.js
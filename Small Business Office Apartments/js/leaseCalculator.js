@@ -0,0 +1,185 @@
+// leaseCalculator.js - Monthly cost and lease calculator for office apartment listings
+// Starts from a listing's base rent (the same monthlyPrice used by filterListings) and adds deposit,
+// utilities, service charges, parking and multi-month discounts
+
+'use strict';
+
+(() => {
+  // Multi-month discounts on base rent, longest qualifying term first
+  const TERM_DISCOUNTS = [
+    {minMonths: 24, rate: 0.10},
+    {minMonths: 12, rate: 0.05},
+    {minMonths: 6, rate: 0.02}
+  ];
+
+  const MAX_TERM_MONTHS = 60;
+  const MAX_PARKING_SPACES = 10;
+
+  // Record currently shown by each mounted calculator form
+  const mountedRecords = new WeakMap();
+
+  const currencyFormatter = new Intl.NumberFormat('en-US', {style: 'currency', currency: 'USD', maximumFractionDigits: 0});
+  const rateFormatter = new Intl.NumberFormat('en-US', {style: 'currency', currency: 'USD', minimumFractionDigits: 2, maximumFractionDigits: 2});
+
+  const getDiscountRate = termMonths => {
+    const tier = TERM_DISCOUNTS.find(entry => termMonths >= entry.minMonths);
+    return tier ? tier.rate : 0;
+  };
+
+  // Non-negative number from user input, with a fallback for blanks
+  const readNumber = (value, fallback = 0) => {
+    const num = parseFloat(value);
+    return Number.isFinite(num) && num >= 0 ? num : fallback;
+  };
+
+  // ===== Calculation =====
+  // Pure cost breakdown for a record and the chosen options.
+  // Terms shorter than the unit's minimum are quoted at the minimum and flagged with termRaised.
+  const calculate = (record, options = {}) => {
+    const lease = record.lease || {};
+    const minimumTerm = Math.min(MAX_TERM_MONTHS, Math.max(1, lease.minimumTermMonths || 1));
+    const requestedTerm = Math.round(readNumber(options.termMonths, lease.minimumTermMonths || 12));
+    const termMonths = Math.min(MAX_TERM_MONTHS, Math.max(minimumTerm, requestedTerm));
+    const depositMonths = readNumber(options.depositMonths, lease.depositMonths);
+    const utilitiesMonthly = readNumber(options.utilitiesMonthly, lease.utilitiesIncluded ? 0 : lease.utilitiesEstimateMonthly);
+    const serviceChargeMonthly = readNumber(options.serviceChargeMonthly, lease.serviceChargeMonthly);
+    const parkingSpaces = Math.min(MAX_PARKING_SPACES, Math.round(readNumber(options.parkingSpaces, 0)));
+    const parkingMonthly = parkingSpaces * (lease.parkingSpaceMonthly || 0);
+
+    const baseRent = record.monthlyPrice;
+    const discountRate = getDiscountRate(termMonths);
+    const discountMonthly = baseRent * discountRate;
+    const rentMonthly = baseRent - discountMonthly;
+    const monthlyTotal = rentMonthly + utilitiesMonthly + serviceChargeMonthly + parkingMonthly;
+    const deposit = baseRent * depositMonths;
+    const leaseTotal = monthlyTotal * termMonths;
+
+    return {
+      termMonths,
+      termRaised: requestedTerm < minimumTerm,
+      baseRent,
+      discountRate,
+      discountMonthly,
+      rentMonthly,
+      utilitiesMonthly,
+      serviceChargeMonthly,
+      parkingSpaces,
+      parkingMonthly,
+      monthlyTotal,
+      deposit,
+      leaseTotal,
+      dueOverTerm: leaseTotal + deposit,
+      pricePerSqft: record.squareFeet > 0 ? monthlyTotal / record.squareFeet : 0
+    };
+  };
+
+  // ===== Rendering =====
+  const renderResults = (results, breakdown) => {
+    const rows = [
+      ['Base rent', `${currencyFormatter.format(breakdown.baseRent)}/month`],
+      ['Term discount', breakdown.discountRate ? `−${currencyFormatter.format(breakdown.discountMonthly)}/month (${Math.round(breakdown.discountRate * 100)}%)` : 'None for this term'],
+      ['Utilities', `${currencyFormatter.format(breakdown.utilitiesMonthly)}/month`],
+      ['Service charges', `${currencyFormatter.format(breakdown.serviceChargeMonthly)}/month`],
+      ['Parking', breakdown.parkingSpaces ? `${currencyFormatter.format(breakdown.parkingMonthly)}/month (${breakdown.parkingSpaces} space${breakdown.parkingSpaces !== 1 ? 's' : ''})` : 'None'],
+      ['Monthly cost', `${currencyFormatter.format(breakdown.monthlyTotal)}/month`, 'is-total'],
+      ['Price per sq ft', `${rateFormatter.format(breakdown.pricePerSqft)}/month`],
+      [`Total over ${breakdown.termMonths} months`, currencyFormatter.format(breakdown.leaseTotal), 'is-total'],
+      ['Refundable deposit', currencyFormatter.format(breakdown.deposit)],
+      ['Total including deposit', currencyFormatter.format(breakdown.dueOverTerm)]
+    ];
+
+    results.textContent = '';
+    rows.forEach(([term, value, className]) => {
+      const dt = document.createElement('dt');
+      const dd = document.createElement('dd');
+      dt.textContent = term;
+      dd.textContent = value;
+      if (className) {
+        dt.classList.add(className);
+        dd.classList.add(className);
+      }
+      results.appendChild(dt);
+      results.appendChild(dd);
+    });
+  };
+
+  // Fill the calculator form with defaults for a record and keep results updated while editing
+  const mount = (container, record) => {
+    if (!container || !record) return;
+    const form = container.querySelector('.lease-calculator-form');
+    const results = container.querySelector('.lease-calculator-results');
+    if (!form || !results) return;
+
+    const lease = record.lease || {};
+    const field = name => form.elements.namedItem(name);
+    const defaults = {
+      termMonths: lease.minimumTermMonths || 12,
+      depositMonths: lease.depositMonths,
+      utilitiesMonthly: lease.utilitiesIncluded ? 0 : lease.utilitiesEstimateMonthly,
+      serviceChargeMonthly: lease.serviceChargeMonthly,
+      parkingSpaces: 0
+    };
+
+    Object.keys(defaults).forEach(name => {
+      const input = field(name);
+      if (input) input.value = defaults[name];
+    });
+
+    const termInput = field('termMonths');
+    if (termInput) {
+      termInput.min = lease.minimumTermMonths || 1;
+      termInput.max = MAX_TERM_MONTHS;
+    }
+
+    const parkingInput = field('parkingSpaces');
+    const parkingGroup = parkingInput ? parkingInput.closest('.form-group') : null;
+    if (parkingGroup) parkingGroup.hidden = !lease.parkingSpaceMonthly;
+
+    const termNote = container.querySelector('.lease-calculator-term-note');
+    const utilitiesNote = container.querySelector('.lease-calculator-utilities-note');
+    if (utilitiesNote) {
+      utilitiesNote.textContent = lease.utilitiesIncluded ? 'Utilities are included in the rent for this unit.' : '';
+    }
+
+    const update = () => {
+      try {
+        const options = {};
+        Object.keys(defaults).forEach(name => {
+          const input = field(name);
+          if (input) options[name] = input.value;
+        });
+        const breakdown = calculate(mountedRecords.get(form), options);
+        renderResults(results, breakdown);
+        if (termNote) {
+          termNote.textContent = breakdown.termRaised
+            ? `This unit has a ${breakdown.termMonths}-month minimum lease, so costs are shown for ${breakdown.termMonths} months.`
+            : '';
+        }
+      } catch (error) {
+        console.error('Error calculating lease cost:', error);
+      }
+    };
+
+    // Listeners are bound once per form; later mounts only swap the record they read
+    if (!mountedRecords.has(form)) {
+      form.addEventListener('input', update);
+      form.addEventListener('submit', event => {
+        event.preventDefault();
+        update();
+      });
+    }
+    mountedRecords.set(form, record);
+    update();
+  };
+
+  // Expose the calculator for the listing detail view
+  window.OfficeApartments = window.OfficeApartments || {};
+  window.OfficeApartments.leaseCalculator = {
+    calculate,
+    mount,
+    getDiscountRate
+  };
+
+})();
+
+//# sourceURL=leaseCalculator.js
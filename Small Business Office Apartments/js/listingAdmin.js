@@ -0,0 +1,522 @@
+// listingAdmin.js - Local listing editor for the admin.html page
+// Edits a working copy of the catalog in the browser (kept in localStorage between visits) and exports it
+// as a listings.json file to replace data/listings.json. Cards are previewed with the same renderer as listings.html.
+
+'use strict';
+
+(() => {
+  // Unpublished working copy of the catalog
+  const STORAGE_KEY = 'sboa:adminDraft';
+
+  // Listing ids end up in URLs (#listing2, contact.html?listing=listing2)
+  const ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+  // Uploaded image files are expected to be copied here, relative to the site root
+  const IMAGE_FOLDER = 'images/';
+
+  // Catalog API provided by listingsData.js, rule registration by formValidation.js
+  const catalog = window.OfficeApartments && window.OfficeApartments.listings;
+  const validation = window.OfficeApartments && window.OfficeApartments.validation;
+
+  // Cache elements
+  const listEl = document.getElementById('admin-list');
+  const form = document.getElementById('admin-form');
+  const emptyNotice = document.querySelector('.admin-empty');
+  const preview = document.getElementById('admin-preview');
+  const statusEl = document.getElementById('admin-status');
+  const problemsEl = document.getElementById('admin-problems');
+  const addBtn = document.getElementById('admin-add');
+  const exportBtn = document.getElementById('admin-export');
+  const importInput = document.getElementById('admin-import');
+  const discardBtn = document.getElementById('admin-discard');
+  const imageFilesInput = document.getElementById('admin-image-files');
+
+  // Working copy of the catalog, in site order, and the index being edited (-1 for a new listing)
+  let records = [];
+  let editingIndex = null;
+
+  // ===== Draft Storage =====
+  const readDraft = () => {
+    try {
+      const draft = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+      return draft && Array.isArray(draft.listings) ? draft.listings.map(catalog.normalizeRecord) : null;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  const writeDraft = () => {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({listings: records.map(toCatalogEntry)}));
+    } catch (error) {
+      // Storage may be unavailable (private mode); changes last until the page is closed
+    }
+  };
+
+  const clearDraft = () => {
+    try {
+      localStorage.removeItem(STORAGE_KEY);
+    } catch (error) {
+      // Nothing stored
+    }
+  };
+
+  const setStatus = message => {
+    if (statusEl) statusEl.textContent = message;
+  };
+
+  // ===== Catalog Conversion =====
+  // Catalog file entry for a record, in the same field order as data/listings.json; empty optional fields are left out
+  const toCatalogEntry = record => {
+    const entry = {
+      id: record.id,
+      title: record.title,
+      description: record.description
+    };
+    if (record.details && record.details !== record.description) entry.details = record.details;
+    entry.squareFeet = record.squareFeet;
+    entry.monthlyPrice = record.monthlyPrice;
+    if (record.listedAt) entry.listedAt = record.listedAt;
+    entry.images = record.images.map(image => ({src: image.src, alt: image.alt}));
+    if (record.floorPlan) entry.floorPlan = record.floorPlan;
+    if (record.mapLocation) entry.mapLocation = Object.assign({}, record.mapLocation);
+    if (record.availableFrom) entry.availableFrom = record.availableFrom;
+    entry.lease = Object.assign({}, record.lease);
+    entry.amenities = record.amenities.slice();
+    if (record.archived) entry.archived = true;
+    return entry;
+  };
+
+  // "path | description" per line
+  const parseImages = text => text.split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => {
+      const [src, ...alt] = line.split('|');
+      return {src: src.trim(), alt: alt.join('|').trim()};
+    });
+
+  const formatImages = images => images.map(image => `${image.src} | ${image.alt}`).join('\n');
+
+  const parseAmenities = text => text.split(',').map(tag => tag.trim()).filter(Boolean);
+
+  // Fields named with dots (lease.depositMonths) belong to nested objects
+  const getPath = (source, name) => name.split('.').reduce((value, key) => (value ? value[key] : undefined), source);
+
+  // ===== Form =====
+  const fillForm = record => {
+    Array.from(form.elements).forEach(field => {
+      if (!field.name) return;
+      if (field.name === 'images') {
+        field.value = formatImages(record.images);
+      } else if (field.name === 'amenities') {
+        field.value = record.amenities.join(', ');
+      } else if (field.type === 'checkbox') {
+        field.checked = Boolean(getPath(record, field.name));
+      } else {
+        const value = getPath(record, field.name);
+        // Zero means "not set" for the optional number fields
+        field.value = value === undefined || value === null || (field.type === 'number' && !value) ? '' : value;
+      }
+    });
+  };
+
+  // Record for the current form contents, normalized the same way as the catalog file
+  const readForm = () => {
+    const value = name => (form.elements[name] ? form.elements[name].value.trim() : '');
+    const current = editingIndex >= 0 ? records[editingIndex] : null;
+    const mapX = value('mapLocation.x');
+    const mapY = value('mapLocation.y');
+
+    const raw = {
+      id: value('id'),
+      title: value('title'),
+      description: value('description'),
+      details: value('details'),
+      squareFeet: value('squareFeet'),
+      monthlyPrice: value('monthlyPrice'),
+      listedAt: value('listedAt'),
+      availableFrom: value('availableFrom'),
+      images: parseImages(value('images')),
+      floorPlan: value('floorPlan'),
+      mapLocation: mapX && mapY ? {x: mapX, y: mapY, label: value('mapLocation.label')} : null,
+      lease: {},
+      amenities: parseAmenities(value('amenities')),
+      archived: Boolean(current && current.archived)
+    };
+    Array.from(form.elements)
+      .filter(field => field.name && field.name.startsWith('lease.'))
+      .forEach(field => {
+        raw.lease[field.name.slice('lease.'.length)] = field.type === 'checkbox' ? field.checked : field.value;
+      });
+
+    return catalog.normalizeRecord(raw);
+  };
+
+  const renderPreview = () => {
+    if (!preview) return;
+    preview.textContent = '';
+    if (editingIndex === null) return;
+    // Rebuilt on every edit, so the photo is set directly rather than faded in each time
+    const card = catalog.renderCard(readForm(), {lazyImages: false});
+    // The preview is not a real listing; keep its id out of the page
+    card.removeAttribute('id');
+    preview.appendChild(card);
+  };
+
+  const openEditor = index => {
+    editingIndex = index;
+    const record = index >= 0 ? records[index] : catalog.normalizeRecord({id: suggestId(), listedAt: new Date().toISOString().slice(0, 10)});
+    form.reset();
+    fillForm(record);
+    form.hidden = false;
+    if (emptyNotice) emptyNotice.hidden = true;
+    renderPreview();
+    renderList();
+    form.elements[index >= 0 ? 'title' : 'id'].focus();
+  };
+
+  const closeEditor = () => {
+    editingIndex = null;
+    form.reset();
+    form.hidden = true;
+    if (emptyNotice) emptyNotice.hidden = false;
+    renderPreview();
+    renderList();
+  };
+
+  // Next free listingN id
+  const suggestId = () => {
+    const taken = new Set(records.map(record => record.id));
+    let number = records.length + 1;
+    while (taken.has(`listing${number}`)) number += 1;
+    return `listing${number}`;
+  };
+
+  // ===== Validation =====
+  const isIdTaken = (id, ownIndex) => records.some((record, index) => index !== ownIndex && record.id === id);
+
+  const registerRules = () => {
+    validation.addRule('id', value => {
+      if (!value) return '';
+      if (!ID_PATTERN.test(value)) return 'Use only lowercase letters, numbers and single dashes in the listing ID.';
+      if (isIdTaken(value, editingIndex)) return `Another listing already uses the ID "${value}".`;
+      return '';
+    });
+    validation.addRule('images', value => {
+      const incomplete = parseImages(value).findIndex(image => !image.src || !image.alt);
+      return incomplete === -1 ? '' : `Give image ${incomplete + 1} both a path and a description, separated by "|".`;
+    });
+  };
+
+  // Problems that would break the site, for a whole catalog (exports and imports)
+  const validateCatalog = list => {
+    const problems = [];
+    const seen = new Set();
+    list.forEach((record, index) => {
+      const name = record.title || record.id || `Listing ${index + 1}`;
+      if (!record.id) {
+        problems.push(`${name} has no ID.`);
+      } else if (!ID_PATTERN.test(record.id)) {
+        problems.push(`${name} has an invalid ID "${record.id}".`);
+      } else if (seen.has(record.id)) {
+        problems.push(`${name} uses the ID "${record.id}", which is already taken.`);
+      }
+      seen.add(record.id);
+      if (!record.title) problems.push(`${name} has no title.`);
+      if (!record.description) problems.push(`${name} has no card description.`);
+      if (!(record.squareFeet > 0)) problems.push(`${name} has no size.`);
+      if (!(record.monthlyPrice > 0)) problems.push(`${name} has no monthly price.`);
+      if (record.images.some(image => !image.alt)) problems.push(`${name} has an image without a description.`);
+    });
+    return problems;
+  };
+
+  const showProblems = (title, problems) => {
+    if (!problemsEl) return;
+    problemsEl.hidden = problems.length === 0;
+    if (!problems.length) return;
+    problemsEl.querySelector('.error-summary-title').textContent = title;
+    const list = problemsEl.querySelector('.error-summary-list');
+    list.textContent = '';
+    problems.forEach(problem => {
+      const item = document.createElement('li');
+      item.textContent = problem;
+      list.appendChild(item);
+    });
+    problemsEl.focus();
+  };
+
+  // ===== Listing List =====
+  const createButton = (action, index, text, label) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn btn-light admin-list-btn';
+    button.dataset.action = action;
+    button.dataset.index = String(index);
+    button.textContent = text;
+    if (label) button.setAttribute('aria-label', label);
+    return button;
+  };
+
+  const renderList = () => {
+    if (!listEl) return;
+    listEl.textContent = '';
+    records.forEach((record, index) => {
+      const item = document.createElement('li');
+      item.className = 'admin-list-item';
+      item.classList.toggle('is-archived', record.archived);
+      item.classList.toggle('is-editing', index === editingIndex);
+
+      const title = document.createElement('p');
+      title.className = 'admin-list-title';
+      title.textContent = record.title || '(untitled)';
+      if (record.archived) {
+        const badge = document.createElement('span');
+        badge.className = 'admin-list-badge';
+        badge.textContent = 'Archived';
+        title.append(' ', badge);
+      }
+
+      const meta = document.createElement('p');
+      meta.className = 'admin-list-meta';
+      meta.textContent = `${record.id} · ${catalog.formatSize(record.squareFeet)} · ${catalog.formatPrice(record.monthlyPrice)}`;
+
+      const actions = document.createElement('div');
+      actions.className = 'admin-list-actions';
+      const name = record.title || record.id;
+      const upBtn = createButton('up', index, '↑', `Move ${name} up`);
+      const downBtn = createButton('down', index, '↓', `Move ${name} down`);
+      upBtn.disabled = index === 0;
+      downBtn.disabled = index === records.length - 1;
+      actions.append(
+        upBtn,
+        downBtn,
+        createButton('edit', index, 'Edit', `Edit ${name}`),
+        createButton('archive', index, record.archived ? 'Restore' : 'Archive', `${record.archived ? 'Restore' : 'Archive'} ${name}`)
+      );
+
+      item.append(title, meta, actions);
+      listEl.appendChild(item);
+    });
+  };
+
+  const focusListButton = (action, index) => {
+    const button = listEl.querySelector(`[data-action="${action}"][data-index="${index}"]`);
+    if (button && !button.disabled) {
+      button.focus();
+    } else if (button) {
+      const edit = listEl.querySelector(`[data-action="edit"][data-index="${index}"]`);
+      if (edit) edit.focus();
+    }
+  };
+
+  const moveRecord = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= records.length) return;
+    const [record] = records.splice(index, 1);
+    records.splice(target, 0, record);
+    if (editingIndex === index) {
+      editingIndex = target;
+    } else if (editingIndex === target) {
+      editingIndex = index;
+    }
+    writeDraft();
+    renderList();
+    focusListButton(offset < 0 ? 'up' : 'down', target);
+    setStatus(`Moved ${record.title} to position ${target + 1} of ${records.length}.`);
+  };
+
+  const toggleArchived = index => {
+    const record = records[index];
+    record.archived = !record.archived;
+    writeDraft();
+    renderList();
+    focusListButton('archive', index);
+    setStatus(record.archived
+      ? `Archived ${record.title}. It stays in the catalog but is hidden from the site.`
+      : `Restored ${record.title}. It will be shown on the site again.`);
+  };
+
+  const handleListClick = event => {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+    const index = parseInt(button.dataset.index, 10);
+    if (!records[index]) return;
+
+    switch (button.dataset.action) {
+      case 'up':
+        moveRecord(index, -1);
+        break;
+      case 'down':
+        moveRecord(index, 1);
+        break;
+      case 'edit':
+        openEditor(index);
+        break;
+      case 'archive':
+        toggleArchived(index);
+        break;
+      default:
+        break;
+    }
+  };
+
+  // ===== Saving =====
+  const handleSubmit = event => {
+    event.preventDefault();
+    // formValidation.js has already shown the errors for an invalid form
+    if (editingIndex === null || !form.checkValidity()) return;
+
+    const record = readForm();
+    const isNew = editingIndex < 0;
+    if (isNew) {
+      records.push(record);
+      editingIndex = records.length - 1;
+    } else {
+      records[editingIndex] = record;
+    }
+    writeDraft();
+    renderList();
+    renderPreview();
+    setStatus(`${isNew ? 'Added' : 'Saved'} ${record.title}. Export the catalog to publish your changes.`);
+  };
+
+  // Add image paths for picked files; the description is left for the editor to fill in
+  const handleImageFiles = () => {
+    const field = form.elements.images;
+    const files = Array.from(imageFilesInput.files || []);
+    if (!files.length) return;
+    const lines = files.map(file => `${IMAGE_FOLDER}${file.name} | `);
+    field.value = [field.value.trim(), ...lines].filter(Boolean).join('\n');
+    imageFilesInput.value = '';
+    field.dispatchEvent(new Event('input', {bubbles: true}));
+    field.focus();
+    setStatus(`Added ${files.length} image path${files.length !== 1 ? 's' : ''}. Describe each image after the "|".`);
+  };
+
+  // ===== Export & Import =====
+  const exportCatalog = () => {
+    const problems = validateCatalog(records);
+    if (problems.length) {
+      showProblems(`Fix ${problems.length === 1 ? 'this problem' : `these ${problems.length} problems`} before exporting`, problems);
+      return;
+    }
+    showProblems('', []);
+
+    const json = `${JSON.stringify({listings: records.map(toCatalogEntry)}, null, 2)}\n`;
+    const url = URL.createObjectURL(new Blob([json], {type: 'application/json'}));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'listings.json';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    setStatus('Exported listings.json. Replace data/listings.json with it to publish the changes.');
+  };
+
+  const importCatalog = () => {
+    const file = importInput.files && importInput.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      importInput.value = '';
+      let imported;
+      try {
+        const data = JSON.parse(reader.result);
+        const rawListings = Array.isArray(data) ? data : data && data.listings;
+        if (!Array.isArray(rawListings)) throw new Error('No "listings" array found');
+        imported = rawListings.map(raw => catalog.normalizeRecord(raw || {}));
+      } catch (error) {
+        console.error('Error reading imported catalog:', error);
+        showProblems(`${file.name} could not be imported`, ['The file is not a listings catalog in JSON format.']);
+        return;
+      }
+
+      const problems = validateCatalog(imported);
+      if (problems.length) {
+        showProblems(`${file.name} was not imported because of ${problems.length === 1 ? 'a problem' : `${problems.length} problems`}`, problems);
+        return;
+      }
+      if (!window.confirm(`Replace the ${records.length} listings in the editor with the ${imported.length} from ${file.name}?`)) return;
+
+      showProblems('', []);
+      records = imported;
+      writeDraft();
+      closeEditor();
+      setStatus(`Imported ${imported.length} listing${imported.length !== 1 ? 's' : ''} from ${file.name}.`);
+    };
+    reader.onerror = () => {
+      importInput.value = '';
+      console.error('Error reading imported catalog:', reader.error);
+      showProblems(`${file.name} could not be imported`, ['The file could not be read.']);
+    };
+    reader.readAsText(file);
+  };
+
+  // ===== Loading =====
+  // Start from the published catalog unless there is a draft from an earlier visit
+  const loadRecords = ({ignoreDraft = false} = {}) => {
+    const draft = ignoreDraft ? null : readDraft();
+    if (draft) {
+      records = draft;
+      renderList();
+      setStatus('Continuing your unpublished changes from an earlier visit.');
+      return Promise.resolve();
+    }
+
+    setStatus('Loading the catalog…');
+    return catalog.fetchCatalog()
+      .then(loaded => {
+        records = loaded;
+        renderList();
+        setStatus(`Loaded ${records.length} listing${records.length !== 1 ? 's' : ''} from data/listings.json.`);
+      })
+      .catch(error => {
+        console.error('Error loading catalog for the editor:', error);
+        setStatus('The catalog could not be loaded. Import a listings.json file to start editing.');
+      });
+  };
+
+  const discardChanges = () => {
+    if (!window.confirm('Discard all changes that have not been exported and reload the published catalog?')) return;
+    clearDraft();
+    showProblems('', []);
+    closeEditor();
+    loadRecords({ignoreDraft: true});
+  };
+
+  // Initialize module on DOM ready
+  const init = () => {
+    try {
+      if (!form || !listEl || !catalog || !validation) {
+        // Not on admin.html page, safely abort
+        return;
+      }
+
+      registerRules();
+      form.addEventListener('submit', handleSubmit);
+      form.addEventListener('input', renderPreview);
+      form.addEventListener('change', renderPreview);
+      form.querySelector('.admin-cancel').addEventListener('click', closeEditor);
+      listEl.addEventListener('click', handleListClick);
+      if (imageFilesInput) imageFilesInput.addEventListener('change', handleImageFiles);
+      if (addBtn) addBtn.addEventListener('click', () => openEditor(-1));
+      if (exportBtn) exportBtn.addEventListener('click', exportCatalog);
+      if (importInput) importInput.addEventListener('change', importCatalog);
+      if (discardBtn) discardBtn.addEventListener('click', discardChanges);
+
+      loadRecords();
+    } catch (error) {
+      console.error('Error initializing listingAdmin module:', error);
+    }
+  };
+
+  // Event listener to run on DOMContentLoaded
+  document.addEventListener('DOMContentLoaded', init);
+
+})();
+
+//# sourceURL=listingAdmin.js
@@ -0,0 +1,329 @@
+// listingAlerts.js - Saved searches and change alerts for the listings.html page
+// "Save this search" stores the current filter criteria. On later visits the catalog is checked against
+// each saved search and a banner lists units that are new or cheaper since the visitor last looked,
+// with a browser notification as well for visitors who allowed them.
+
+'use strict';
+
+(() => {
+  const STORAGE_KEY = 'sboa:savedSearches';
+  const MAX_SEARCHES = 10;
+
+  // Catalog and filter APIs provided by listingsData.js and listingFilter.js
+  const catalog = window.OfficeApartments && window.OfficeApartments.listings;
+  const filtersApi = window.OfficeApartments && window.OfficeApartments.filters;
+
+  // Cache elements
+  const filterForm = document.getElementById('filter-form');
+  const listingsContainer = document.getElementById('listings');
+  const saveBtn = document.getElementById('save-search');
+  const saveStatus = document.getElementById('save-search-status');
+  const banner = document.getElementById('search-alerts');
+
+  const bannerPart = selector => (banner ? banner.querySelector(selector) : null);
+
+  const supportsNotifications = 'Notification' in window;
+
+  // Catalog records, filled once the catalog loads
+  let records = [];
+
+  // ===== Storage =====
+  // Each search: {id, label, criteria, params, savedAt, seen: {listingId: monthlyPrice}, notified}
+  const readSearches = () => {
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+      return Array.isArray(saved) ? saved.filter(search => search && search.criteria && search.seen) : [];
+    } catch (error) {
+      return [];
+    }
+  };
+
+  let searches = readSearches();
+
+  const writeSearches = () => {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(searches));
+    } catch (error) {
+      // Storage may be unavailable (private mode); saved searches last for this page only
+    }
+  };
+
+  // ===== Criteria =====
+  // getFilters() reports the slider bounds even when a range is untouched; store those as open-ended
+  // so units priced above today's most expensive one still match later
+  const toCriteria = filters => {
+    const criteria = {
+      sizes: Array.from(filters.sizes).sort(),
+      query: filters.query,
+      savedOnly: filters.savedOnly,
+      moveIn: filters.moveIn
+    };
+    ['price', 'sqft'].forEach(key => {
+      const group = filterForm.querySelector(`[data-range-filter="${key}"]`);
+      const minInput = group && group.querySelector('.range-input-min');
+      const maxInput = group && group.querySelector('.range-input-max');
+      const range = filters[key] || {min: null, max: null};
+      criteria[key] = {
+        min: minInput && minInput.value === minInput.defaultValue ? null : range.min,
+        max: maxInput && maxInput.value === maxInput.defaultValue ? null : range.max
+      };
+    });
+    return criteria;
+  };
+
+  const fromCriteria = criteria => Object.assign({}, criteria, {sizes: new Set(criteria.sizes)});
+
+  const getCriteriaKey = criteria => JSON.stringify(criteria);
+
+  const getCurrentCriteria = () => {
+    const filters = filtersApi.getFilters();
+    return filters ? toCriteria(filters) : null;
+  };
+
+  const findSearch = criteria => {
+    const key = getCriteriaKey(criteria);
+    return searches.find(search => getCriteriaKey(search.criteria) === key) || null;
+  };
+
+  const getMatches = criteria => {
+    const filters = fromCriteria(criteria);
+    return records.filter(record => filtersApi.matchesFilters(record, filters));
+  };
+
+  // ===== Labels =====
+  const moneyFormatter = new Intl.NumberFormat('en-US', {style: 'currency', currency: 'USD', maximumFractionDigits: 0});
+  const numberFormatter = new Intl.NumberFormat('en-US');
+  const dateFormatter = new Intl.DateTimeFormat('en-US', {month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC'});
+
+  const describeRange = (range, format, unit) => {
+    if (range.min !== null && range.max !== null) return `${format(range.min)}–${format(range.max)}${unit}`;
+    if (range.min !== null) return `from ${format(range.min)}${unit}`;
+    if (range.max !== null) return `up to ${format(range.max)}${unit}`;
+    return '';
+  };
+
+  // Short summary such as "Medium, up to $1,500/month, “parking”"
+  const describeCriteria = criteria => {
+    const parts = [];
+    if (criteria.sizes.length) {
+      parts.push(criteria.sizes.map(size => size.charAt(0).toUpperCase() + size.slice(1)).join(' or '));
+    }
+    parts.push(describeRange(criteria.price, value => moneyFormatter.format(value), '/month'));
+    parts.push(describeRange(criteria.sqft, value => numberFormatter.format(value), ' sq ft'));
+    if (criteria.moveIn && Number.isFinite(Date.parse(criteria.moveIn))) {
+      parts.push(`available by ${dateFormatter.format(new Date(criteria.moveIn))}`);
+    }
+    if (criteria.query) parts.push(`“${criteria.query}”`);
+    if (criteria.savedOnly) parts.push('saved listings only');
+    const label = parts.filter(Boolean).join(', ');
+    return label || 'All office apartments';
+  };
+
+  // ===== Saving =====
+  const announce = message => {
+    if (saveStatus) saveStatus.textContent = message;
+  };
+
+  const updateSaveButton = () => {
+    if (!saveBtn) return;
+    const criteria = getCurrentCriteria();
+    const saved = Boolean(criteria && findSearch(criteria));
+    saveBtn.setAttribute('aria-pressed', String(saved));
+    saveBtn.textContent = saved ? 'Search saved' : 'Save this search';
+  };
+
+  const snapshot = matches => matches.reduce((seen, record) => {
+    seen[record.id] = record.monthlyPrice;
+    return seen;
+  }, {});
+
+  // Ask while the visitor is saving, so the prompt has an obvious reason
+  const requestNotifications = () => {
+    if (!supportsNotifications || Notification.permission !== 'default') {
+      return Promise.resolve(supportsNotifications ? Notification.permission : 'unsupported');
+    }
+    try {
+      return Promise.resolve(Notification.requestPermission()).catch(() => 'default');
+    } catch (error) {
+      return Promise.resolve('default');
+    }
+  };
+
+  const saveCurrentSearch = () => {
+    const criteria = getCurrentCriteria();
+    if (!criteria) return;
+
+    const existing = findSearch(criteria);
+    if (existing) {
+      searches = searches.filter(search => search !== existing);
+      writeSearches();
+      updateSaveButton();
+      announce(`Removed the saved search “${existing.label}”.`);
+      return;
+    }
+
+    const search = {
+      id: `search-${Date.now().toString(36)}`,
+      label: describeCriteria(criteria),
+      criteria,
+      params: filtersApi.serializeFilters().toString(),
+      savedAt: new Date().toISOString(),
+      seen: snapshot(getMatches(criteria)),
+      notified: ''
+    };
+    // The oldest searches make way once the limit is reached
+    searches = searches.concat(search).slice(-MAX_SEARCHES);
+    writeSearches();
+    updateSaveButton();
+    announce(`Saved “${search.label}”. New or cheaper units that match will be shown here on your next visit.`);
+
+    requestNotifications().then(permission => {
+      if (permission === 'granted') {
+        announce(`Saved “${search.label}”. New or cheaper units that match will be shown here and sent as a browser notification.`);
+      }
+    });
+  };
+
+  // ===== Change Detection =====
+  // Units that match a saved search and are new to it, or cheaper than when it was last seen
+  const getChanges = search => {
+    const added = [];
+    const reduced = [];
+    getMatches(search.criteria).forEach(record => {
+      if (!Object.prototype.hasOwnProperty.call(search.seen, record.id)) {
+        added.push(record);
+      } else if (record.monthlyPrice < search.seen[record.id]) {
+        reduced.push({record, previousPrice: search.seen[record.id]});
+      }
+    });
+    return {search, added, reduced};
+  };
+
+  const getChangeKey = ({added, reduced}) => added.map(record => `${record.id}:${record.monthlyPrice}`)
+    .concat(reduced.map(({record}) => `${record.id}:${record.monthlyPrice}`))
+    .sort()
+    .join(',');
+
+  const createUnitItem = (record, text) => {
+    const item = document.createElement('li');
+    const link = document.createElement('a');
+    link.href = `#${record.id}`;
+    link.textContent = record.title;
+    item.append(link, ` — ${text}`);
+    return item;
+  };
+
+  const renderBanner = changes => {
+    if (!banner) return;
+    banner.hidden = changes.length === 0;
+    const list = bannerPart('.search-alerts-list');
+    if (!list) return;
+    list.textContent = '';
+
+    changes.forEach(({search, added, reduced}) => {
+      const group = document.createElement('div');
+      group.className = 'search-alert';
+
+      const heading = document.createElement('p');
+      heading.className = 'search-alert-label';
+      const showLink = document.createElement('a');
+      showLink.href = `${window.location.pathname}${search.params ? `?${search.params}` : ''}`;
+      showLink.textContent = 'Show all matches';
+      heading.append(`${search.label}: `, showLink);
+
+      const units = document.createElement('ul');
+      units.className = 'search-alert-units';
+      added.forEach(record => {
+        units.appendChild(createUnitItem(record, `new, ${catalog.formatPrice(record.monthlyPrice)}`));
+      });
+      reduced.forEach(({record, previousPrice}) => {
+        units.appendChild(createUnitItem(record,
+          `price reduced from ${catalog.formatPrice(previousPrice)} to ${catalog.formatPrice(record.monthlyPrice)}`));
+      });
+
+      group.append(heading, units);
+      list.appendChild(group);
+    });
+  };
+
+  // One notification per set of changes, so reloading the page does not repeat it
+  const notify = changes => {
+    if (!supportsNotifications || Notification.permission !== 'granted') return;
+    const fresh = changes.filter(change => change.search.notified !== getChangeKey(change));
+    if (!fresh.length) return;
+
+    const count = fresh.reduce((total, change) => total + change.added.length + change.reduced.length, 0);
+    try {
+      const notification = new Notification('Small Business Office Apartments', {
+        body: `${count} office apartment${count !== 1 ? 's' : ''} new or reduced in price for “${fresh[0].search.label}”${fresh.length > 1 ? ' and other saved searches' : ''}.`,
+        tag: 'sboa-saved-searches'
+      });
+      notification.onclick = () => {
+        window.focus();
+        if (banner) banner.focus();
+        notification.close();
+      };
+    } catch (error) {
+      // Some browsers only allow notifications from a service worker
+      console.error('Error showing saved search notification:', error);
+      return;
+    }
+
+    fresh.forEach(change => {
+      change.search.notified = getChangeKey(change);
+    });
+    writeSearches();
+  };
+
+  const checkSearches = () => {
+    const changes = searches.map(getChanges).filter(change => change.added.length || change.reduced.length);
+    renderBanner(changes);
+    notify(changes);
+  };
+
+  // "Mark as seen" makes today's matches and prices the new baseline
+  const markSeen = () => {
+    searches.forEach(search => {
+      search.seen = snapshot(getMatches(search.criteria));
+      search.notified = '';
+    });
+    writeSearches();
+    renderBanner([]);
+    if (saveBtn) saveBtn.focus();
+  };
+
+  // Initialize module on DOM ready
+  const init = () => {
+    try {
+      if (!filterForm || !listingsContainer || !saveBtn || !catalog || !filtersApi) {
+        // Not on listings.html page, safely abort
+        return;
+      }
+
+      saveBtn.hidden = false;
+      saveBtn.addEventListener('click', saveCurrentSearch);
+      const dismissBtn = bannerPart('.search-alerts-dismiss');
+      if (dismissBtn) dismissBtn.addEventListener('click', markSeen);
+
+      // The button shows whether the filters on screen are already saved
+      listingsContainer.addEventListener('listings:filtered', updateSaveButton);
+
+      catalog.loadListings()
+        .then(loaded => {
+          records = loaded;
+          checkSearches();
+        })
+        .catch(error => {
+          console.error('Error loading listings for saved searches:', error);
+        });
+    } catch (error) {
+      console.error('Error initializing listingAlerts module:', error);
+    }
+  };
+
+  // Event listener to run on DOMContentLoaded
+  document.addEventListener('DOMContentLoaded', init);
+
+})();
+
+//# sourceURL=listingAlerts.js
@@ -0,0 +1,313 @@
+// listingBrochure.js - Printable one-page brochures for office apartment listings
+// "Print brochure" on a listing card, in the detail panel or in the comparison dialog lays out one page per listing
+// with photos, specs, a price table, a QR code linking back to the listing and the contact details from
+// contact.html, then opens the browser's print dialog. The layout itself is in css/print.css.
+
+'use strict';
+
+(() => {
+  const CONTACT_PAGE = 'contact.html';
+  const BRAND_NAME = 'Small Business Office Apartments';
+  const PRINTING_CLASS = 'is-printing-brochure';
+
+  const MAX_PHOTOS = 3;
+  // Print anyway if a photo is slow, rather than leaving the visitor waiting
+  const IMAGE_TIMEOUT_MS = 4000;
+
+  // Catalog, QR code and lease APIs provided by listingsData.js, qrCode.js and leaseCalculator.js
+  const catalog = window.OfficeApartments && window.OfficeApartments.listings;
+  const qrCode = window.OfficeApartments && window.OfficeApartments.qrCode;
+
+  const listingsContainer = document.getElementById('listings');
+  const detailPanel = document.getElementById('listing-detail');
+
+  const moneyFormatter = new Intl.NumberFormat('en-US', {style: 'currency', currency: 'USD', maximumFractionDigits: 0});
+  const rateFormatter = new Intl.NumberFormat('en-US', {style: 'currency', currency: 'USD', minimumFractionDigits: 2, maximumFractionDigits: 2});
+
+  // Container created on init; filled just before printing and emptied afterwards
+  let brochure = null;
+  let contactPromise = null;
+  let isPreparing = false;
+
+  // ===== Contact Details =====
+  // The address block on contact.html is the single source for the office's contact details
+  const loadContactDetails = () => {
+    const onPage = document.querySelector('.contact-address');
+    if (onPage) return Promise.resolve(onPage);
+    if (contactPromise) return contactPromise;
+
+    contactPromise = fetch(CONTACT_PAGE)
+      .then(response => {
+        if (!response.ok) throw new Error(`Contact page request failed with status ${response.status}`);
+        return response.text();
+      })
+      .then(html => {
+        const address = new DOMParser().parseFromString(html, 'text/html').querySelector('.contact-address');
+        if (!address) throw new Error('No .contact-address block on the contact page');
+        return address;
+      })
+      .catch(error => {
+        // Print without contact details this time and try again next time
+        console.error('Error loading contact details for brochure:', error);
+        contactPromise = null;
+        return null;
+      });
+    return contactPromise;
+  };
+
+  // ===== Layout =====
+  const createElement = (tag, className, text) => {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+  };
+
+  const getListingUrl = record => new URL(`listings.html#${encodeURIComponent(record.id)}`, window.location.href).href;
+
+  const buildPhotos = record => {
+    const photos = createElement('div', 'brochure-photos');
+    record.images.slice(0, MAX_PHOTOS).forEach(image => {
+      const img = createElement('img', 'brochure-photo');
+      img.src = catalog.resolveAsset(image.src);
+      img.alt = image.alt || '';
+      photos.appendChild(img);
+    });
+    return photos;
+  };
+
+  const buildDefinitionList = (className, terms) => {
+    const list = createElement('dl', className);
+    terms.forEach(([term, value]) => {
+      list.append(createElement('dt', '', term), createElement('dd', '', value));
+    });
+    return list;
+  };
+
+  const buildSpecs = record => {
+    const {lease} = record;
+    const section = createElement('section', 'brochure-specs');
+    section.appendChild(createElement('h3', '', 'Specifications'));
+
+    const terms = [
+      ['Size', catalog.formatSize(record.squareFeet)],
+      ['Availability', catalog.formatAvailability(record.availableFrom)],
+      ['Minimum term', lease.minimumTermMonths ? `${lease.minimumTermMonths} months` : 'Flexible'],
+      ['Notice period', lease.noticePeriodDays ? `${lease.noticePeriodDays} days` : 'None']
+    ];
+    if (record.mapLocation && record.mapLocation.label) terms.unshift(['Location', record.mapLocation.label]);
+    section.appendChild(buildDefinitionList('brochure-spec-list', terms));
+
+    if (record.details) section.appendChild(createElement('p', 'brochure-details', record.details));
+    if (record.amenities.length) {
+      const amenities = createElement('ul', 'brochure-amenities');
+      amenities.setAttribute('aria-label', 'Amenities');
+      record.amenities.forEach(amenity => amenities.appendChild(createElement('li', '', amenity)));
+      section.appendChild(amenities);
+    }
+    return section;
+  };
+
+  // Standard monthly costs, plus the estimated total for the minimum term from the lease calculator
+  const getPriceRows = record => {
+    const {lease} = record;
+    const utilities = lease.utilitiesIncluded ? 0 : lease.utilitiesEstimateMonthly || 0;
+    const serviceCharge = lease.serviceChargeMonthly || 0;
+    const rows = [
+      ['Monthly rent', moneyFormatter.format(record.monthlyPrice)],
+      ['Service charge', serviceCharge ? `${moneyFormatter.format(serviceCharge)}/month` : 'None'],
+      ['Utilities', lease.utilitiesIncluded ? 'Included in rent' : `est. ${moneyFormatter.format(utilities)}/month`],
+      ['Parking', lease.parkingSpaceMonthly ? `${moneyFormatter.format(lease.parkingSpaceMonthly)}/month per space` : 'Not available'],
+      ['Estimated monthly total', moneyFormatter.format(record.monthlyPrice + serviceCharge + utilities)],
+      ['Price per sq ft', `${rateFormatter.format(catalog.getPricePerSqft(record))}/month`],
+      ['Security deposit', lease.depositMonths ? moneyFormatter.format(record.monthlyPrice * lease.depositMonths) : 'None']
+    ];
+
+    const calculator = window.OfficeApartments.leaseCalculator;
+    if (calculator && lease.minimumTermMonths) {
+      const estimate = calculator.calculate(record);
+      const discount = estimate.discountRate ? `, after ${Math.round(estimate.discountRate * 100)}% term discount` : '';
+      rows.push([`${estimate.termMonths}-month lease total${discount}`, moneyFormatter.format(estimate.leaseTotal)]);
+    }
+    return rows;
+  };
+
+  const buildPriceTable = record => {
+    const section = createElement('section', 'brochure-prices');
+    section.appendChild(createElement('h3', '', 'Pricing'));
+
+    const table = createElement('table', 'brochure-price-table');
+    const body = createElement('tbody');
+    getPriceRows(record).forEach(([label, value]) => {
+      const row = createElement('tr');
+      const heading = createElement('th', '', label);
+      heading.scope = 'row';
+      row.append(heading, createElement('td', '', value));
+      body.appendChild(row);
+    });
+    table.appendChild(body);
+    section.appendChild(table);
+    return section;
+  };
+
+  const buildQrCode = record => {
+    const url = getListingUrl(record);
+    const figure = createElement('figure', 'brochure-qr');
+    try {
+      const code = createElement('div', 'brochure-qr-code');
+      code.innerHTML = qrCode.toSvg(url, {label: `QR code linking to ${record.title} online`});
+      figure.appendChild(code);
+    } catch (error) {
+      // Very long URLs do not fit; the printed address still works
+      console.error('Error creating brochure QR code:', error);
+    }
+    const caption = createElement('figcaption', '', 'Scan or visit to view this listing online:');
+    caption.appendChild(createElement('span', 'brochure-url', url));
+    figure.appendChild(caption);
+    return figure;
+  };
+
+  const buildContact = address => {
+    const section = createElement('section', 'brochure-contact');
+    section.appendChild(createElement('h3', '', 'Arrange a viewing'));
+    const details = document.importNode(address, true);
+    details.className = 'brochure-address';
+    section.appendChild(details);
+    return section;
+  };
+
+  const buildPage = (record, address) => {
+    const page = createElement('article', 'brochure-page');
+
+    const header = createElement('header', 'brochure-header');
+    header.append(
+      createElement('p', 'brochure-brand', BRAND_NAME),
+      createElement('h2', 'brochure-title', record.title),
+      createElement('p', 'brochure-summary', record.description)
+    );
+    page.appendChild(header);
+    if (record.images.length) page.appendChild(buildPhotos(record));
+
+    const body = createElement('div', 'brochure-body');
+    body.append(buildSpecs(record), buildPriceTable(record));
+    page.appendChild(body);
+
+    const footer = createElement('footer', 'brochure-footer');
+    if (address) footer.appendChild(buildContact(address));
+    footer.appendChild(buildQrCode(record));
+    page.appendChild(footer);
+    return page;
+  };
+
+  // ===== Printing =====
+  // Resolves once every photo has loaded or failed, or after a timeout
+  const waitForImages = () => {
+    const pending = Array.from(brochure.querySelectorAll('img'))
+      .filter(img => !img.complete)
+      .map(img => new Promise(resolve => {
+        img.addEventListener('load', resolve, {once: true});
+        img.addEventListener('error', resolve, {once: true});
+      }));
+    const timeout = new Promise(resolve => setTimeout(resolve, IMAGE_TIMEOUT_MS));
+    return Promise.race([Promise.all(pending), timeout]);
+  };
+
+  const clearBrochure = () => {
+    document.body.classList.remove(PRINTING_CLASS);
+    if (brochure) brochure.textContent = '';
+  };
+
+  const printBrochure = (records, trigger = null) => {
+    const printable = records.filter(Boolean);
+    if (!printable.length || isPreparing || !brochure) return Promise.resolve();
+
+    isPreparing = true;
+    if (trigger) trigger.setAttribute('aria-busy', 'true');
+
+    return loadContactDetails()
+      .then(address => {
+        brochure.textContent = '';
+        printable.forEach(record => brochure.appendChild(buildPage(record, address)));
+        return waitForImages();
+      })
+      .then(() => {
+        document.body.classList.add(PRINTING_CLASS);
+        window.print();
+      })
+      .catch(error => {
+        console.error('Error preparing brochure:', error);
+        clearBrochure();
+      })
+      .finally(() => {
+        isPreparing = false;
+        if (trigger) trigger.removeAttribute('aria-busy');
+      });
+  };
+
+  const printListings = (ids, trigger) => catalog.loadListings()
+    .then(records => printBrochure(ids.map(id => records.find(record => record.id === id)), trigger))
+    .catch(error => {
+      console.error('Error loading listings for brochure:', error);
+    });
+
+  // ===== Triggers =====
+  // Card buttons print their own listing; the detail panel button prints the listing it shows
+  const handleClick = event => {
+    const listingBtn = event.target.closest('.listing-print-btn');
+    if (listingBtn) {
+      const card = listingBtn.closest('.listing-item');
+      const detail = window.OfficeApartments.detail;
+      const record = !card && detail ? detail.getCurrentRecord() : null;
+      const id = card ? card.dataset.listingId : record && record.id;
+      if (id) printListings([id], listingBtn);
+      return;
+    }
+
+    const compareBtn = event.target.closest('.compare-print-btn');
+    const compare = window.OfficeApartments.compare;
+    if (compareBtn && compare) printListings(compare.getSelection(), compareBtn);
+  };
+
+  // Buttons stay hidden on pages without this module
+  const revealButtons = root => {
+    root.querySelectorAll('.listing-print-btn[hidden]').forEach(button => {
+      button.hidden = false;
+    });
+  };
+
+  // Initialize module on DOM ready
+  const init = () => {
+    try {
+      if (!catalog || !qrCode) return;
+
+      brochure = createElement('div', 'brochure');
+      brochure.id = 'brochure';
+      brochure.hidden = true;
+      document.body.appendChild(brochure);
+
+      document.addEventListener('click', handleClick);
+      window.addEventListener('afterprint', clearBrochure);
+
+      if (listingsContainer) {
+        revealButtons(listingsContainer);
+        listingsContainer.addEventListener('listings:rendered', () => revealButtons(listingsContainer));
+      }
+      if (detailPanel) revealButtons(detailPanel);
+    } catch (error) {
+      console.error('Error initializing listingBrochure module:', error);
+    }
+  };
+
+  // Expose brochure printing for other views
+  window.OfficeApartments = window.OfficeApartments || {};
+  window.OfficeApartments.brochure = {
+    print: printBrochure,
+    printListings
+  };
+
+  // Event listener to run on DOMContentLoaded
+  document.addEventListener('DOMContentLoaded', init);
+
+})();
+
+//# sourceURL=listingBrochure.js
@@ -0,0 +1,377 @@
+// listingCompare.js - Side-by-side comparison of office apartment listings
+// Compare toggles on listing cards, a sticky compare tray, and a comparison table that highlights differences.
+// The selection is stored in localStorage so it follows the visitor across listings, about and contact pages.
+
+'use strict';
+
+(() => {
+  const STORAGE_KEY = 'sboa:compare';
+  const MAX_COMPARE = 4;
+
+  // Catalog API provided by listingsData.js
+  const catalog = window.OfficeApartments && window.OfficeApartments.listings;
+
+  const listingsContainer = document.getElementById('listings');
+
+  // Listing records keyed by id, filled once the catalog loads
+  const recordsById = new Map();
+
+  // Elements created on init
+  let tray = null;
+  let dialog = null;
+  let returnFocusTo = null;
+
+  // ===== Selection Storage =====
+  const readSelection = () => {
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+      return Array.isArray(saved) ? saved.filter(id => typeof id === 'string').slice(0, MAX_COMPARE) : [];
+    } catch (error) {
+      return [];
+    }
+  };
+
+  const writeSelection = ids => {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(ids));
+    } catch (error) {
+      // Storage may be unavailable (private mode); the selection lasts for this page only
+    }
+  };
+
+  let selection = readSelection();
+
+  // Drop ids that are no longer in the catalog
+  const pruneSelection = () => {
+    const known = selection.filter(id => recordsById.has(id));
+    if (known.length !== selection.length) {
+      selection = known;
+      writeSelection(selection);
+    }
+  };
+
+  // ===== Compare Toggles on Cards =====
+  const updateToggles = () => {
+    if (!listingsContainer) return;
+    const full = selection.length >= MAX_COMPARE;
+
+    listingsContainer.querySelectorAll('.listing-item').forEach(card => {
+      const toggle = card.querySelector('.listing-compare-toggle');
+      if (!toggle) return;
+      const selected = selection.includes(card.dataset.listingId);
+      toggle.setAttribute('aria-pressed', String(selected));
+      toggle.textContent = selected ? 'Comparing' : 'Compare';
+      toggle.disabled = full && !selected;
+      toggle.title = toggle.disabled ? `You can compare up to ${MAX_COMPARE} listings` : '';
+      card.classList.toggle('is-compared', selected);
+    });
+  };
+
+  const announce = message => {
+    const status = tray ? tray.querySelector('.compare-tray-status') : null;
+    if (status) status.textContent = message;
+  };
+
+  // Add or remove a listing from the comparison
+  const toggleListing = id => {
+    const record = recordsById.get(id);
+    if (!record) return;
+
+    if (selection.includes(id)) {
+      selection = selection.filter(item => item !== id);
+      announce(`${record.title} removed from comparison.`);
+    } else if (selection.length >= MAX_COMPARE) {
+      announce(`You can compare up to ${MAX_COMPARE} listings. Remove one to add another.`);
+      return;
+    } else {
+      selection = selection.concat(id);
+      announce(`${record.title} added to comparison.`);
+    }
+
+    writeSelection(selection);
+    render();
+  };
+
+  const clearSelection = () => {
+    selection = [];
+    writeSelection(selection);
+    announce('Comparison cleared.');
+    render();
+  };
+
+  // ===== Compare Tray =====
+  const createTray = () => {
+    tray = document.createElement('aside');
+    tray.id = 'compare-tray';
+    tray.className = 'compare-tray';
+    tray.setAttribute('aria-label', 'Listings selected for comparison');
+    tray.hidden = true;
+    tray.innerHTML = `
+      <div class="container compare-tray-inner">
+        <p class="compare-tray-heading"><strong>Compare</strong> <span class="compare-tray-count"></span></p>
+        <ul class="compare-tray-list"></ul>
+        <div class="compare-tray-actions">
+          <button type="button" class="btn btn-primary compare-open-btn">Compare now</button>
+          <button type="button" class="btn btn-light compare-clear-btn">Clear</button>
+        </div>
+        <p class="compare-tray-status visually-hidden" role="status" aria-live="polite"></p>
+      </div>`;
+    document.body.appendChild(tray);
+
+    tray.addEventListener('click', event => {
+      const removeBtn = event.target.closest('.compare-remove-btn');
+      if (removeBtn) {
+        toggleListing(removeBtn.dataset.listingId);
+      } else if (event.target.closest('.compare-open-btn')) {
+        openComparison(event.target.closest('.compare-open-btn'));
+      } else if (event.target.closest('.compare-clear-btn')) {
+        clearSelection();
+      }
+    });
+  };
+
+  const renderTray = () => {
+    if (!tray) return;
+    const records = selection.map(id => recordsById.get(id)).filter(Boolean);
+
+    tray.hidden = records.length === 0;
+    document.body.classList.toggle('has-compare-tray', records.length > 0);
+
+    tray.querySelector('.compare-tray-count').textContent = `(${records.length} of ${MAX_COMPARE})`;
+
+    const list = tray.querySelector('.compare-tray-list');
+    list.textContent = '';
+    records.forEach(record => {
+      const item = document.createElement('li');
+      item.className = 'compare-tray-item';
+
+      const title = document.createElement('span');
+      title.textContent = record.title;
+
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'compare-remove-btn';
+      removeBtn.dataset.listingId = record.id;
+      removeBtn.setAttribute('aria-label', `Remove ${record.title} from comparison`);
+      removeBtn.innerHTML = '&times;';
+
+      item.appendChild(title);
+      item.appendChild(removeBtn);
+      list.appendChild(item);
+    });
+
+    // A comparison needs at least two listings
+    tray.querySelector('.compare-open-btn').disabled = records.length < 2;
+  };
+
+  // ===== Comparison Table =====
+  // Each row: label, cell value for a record, and an optional "best" picker used for highlighting
+  const comparisonRows = [
+    {label: 'Monthly price', value: record => catalog.formatPrice(record.monthlyPrice), best: records => Math.min(...records.map(r => r.monthlyPrice)), bestOf: record => record.monthlyPrice},
+    {label: 'Size', value: record => catalog.formatSize(record.squareFeet), best: records => Math.max(...records.map(r => r.squareFeet)), bestOf: record => record.squareFeet},
+    {label: 'Price per sq ft', value: record => `$${catalog.getPricePerSqft(record).toFixed(2)}`, best: records => Math.min(...records.map(catalog.getPricePerSqft)), bestOf: catalog.getPricePerSqft},
+    {label: 'Availability', value: record => catalog.formatAvailability(record.availableFrom)},
+    {label: 'Minimum term', value: record => (record.lease.minimumTermMonths ? `${record.lease.minimumTermMonths} months` : 'Flexible')}
+  ];
+
+  const buildComparisonTable = records => {
+    const table = document.createElement('table');
+    table.className = 'compare-table';
+
+    const caption = document.createElement('caption');
+    caption.className = 'visually-hidden';
+    caption.textContent = 'Comparison of selected office apartments. Rows that differ are highlighted.';
+    table.appendChild(caption);
+
+    // Header row with listing titles linking back to the detail view
+    const thead = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    const corner = document.createElement('td');
+    headRow.appendChild(corner);
+    records.forEach(record => {
+      const th = document.createElement('th');
+      th.scope = 'col';
+      const link = document.createElement('a');
+      link.href = `listings.html#${encodeURIComponent(record.id)}`;
+      link.textContent = record.title;
+      th.appendChild(link);
+      headRow.appendChild(th);
+    });
+    thead.appendChild(headRow);
+    table.appendChild(thead);
+
+    const tbody = document.createElement('tbody');
+    const addRow = (label, cells, bestFlags = []) => {
+      const row = document.createElement('tr');
+      const th = document.createElement('th');
+      th.scope = 'row';
+      th.textContent = label;
+      row.appendChild(th);
+
+      const differs = new Set(cells).size > 1;
+      row.classList.toggle('compare-row-differs', differs);
+
+      cells.forEach((text, index) => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        if (differs && bestFlags[index]) {
+          td.classList.add('compare-best');
+          td.setAttribute('aria-label', `${text} (best)`);
+        }
+        row.appendChild(td);
+      });
+      tbody.appendChild(row);
+    };
+
+    comparisonRows.forEach(row => {
+      const cells = records.map(row.value);
+      const bestValue = row.best ? row.best(records) : null;
+      const bestFlags = row.best ? records.map(record => row.bestOf(record) === bestValue) : [];
+      addRow(row.label, cells, bestFlags);
+    });
+
+    // One row per amenity offered by any of the compared listings
+    const amenities = Array.from(new Set(records.flatMap(record => record.amenities)));
+    amenities.forEach(tag => {
+      addRow(tag, records.map(record => (record.amenities.includes(tag) ? 'Yes' : 'No')));
+    });
+
+    table.appendChild(tbody);
+    return table;
+  };
+
+  const createDialog = () => {
+    dialog = document.createElement('div');
+    dialog.id = 'compare-dialog';
+    dialog.className = 'compare-dialog';
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+    dialog.setAttribute('aria-labelledby', 'compare-dialog-title');
+    dialog.hidden = true;
+    dialog.innerHTML = `
+      <div class="compare-dialog-backdrop" data-compare-close></div>
+      <div class="compare-dialog-panel" tabindex="-1">
+        <button type="button" class="compare-dialog-close" data-compare-close aria-label="Close comparison">&times;</button>
+        <h2 id="compare-dialog-title">Compare Office Apartments</h2>
+        <p class="compare-dialog-note">Highlighted rows differ between listings; the best price, size and price per sq ft are marked.</p>
+        <div class="compare-table-wrapper"></div>
+        <div class="compare-dialog-actions">
+          <button type="button" class="btn btn-light compare-print-btn" hidden>Print brochures</button>
+        </div>
+      </div>`;
+    document.body.appendChild(dialog);
+
+    // Printing needs listingBrochure.js, which is loaded before this module
+    dialog.querySelector('.compare-print-btn').hidden = !window.OfficeApartments.brochure;
+
+    dialog.addEventListener('click', event => {
+      if (event.target.closest('[data-compare-close]') || event.target.closest('.compare-table a')) {
+        closeComparison();
+      }
+    });
+
+    dialog.addEventListener('keydown', event => {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        closeComparison();
+      } else if (event.key === 'Tab') {
+        // Keep focus inside the dialog
+        const focusable = Array.from(dialog.querySelectorAll('a[href], button:not([disabled])'));
+        if (!focusable.length) return;
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (event.shiftKey && document.activeElement === first) {
+          event.preventDefault();
+          last.focus();
+        } else if (!event.shiftKey && document.activeElement === last) {
+          event.preventDefault();
+          first.focus();
+        }
+      }
+    });
+  };
+
+  const openComparison = trigger => {
+    const records = selection.map(id => recordsById.get(id)).filter(Boolean);
+    if (records.length < 2 || !dialog) return;
+
+    const wrapper = dialog.querySelector('.compare-table-wrapper');
+    wrapper.textContent = '';
+    wrapper.appendChild(buildComparisonTable(records));
+
+    returnFocusTo = trigger || null;
+    dialog.hidden = false;
+    document.body.classList.add('no-scroll');
+    dialog.querySelector('.compare-dialog-panel').focus();
+  };
+
+  const closeComparison = () => {
+    if (!dialog || dialog.hidden) return;
+    dialog.hidden = true;
+    document.body.classList.remove('no-scroll');
+    if (returnFocusTo && document.contains(returnFocusTo)) returnFocusTo.focus();
+    returnFocusTo = null;
+  };
+
+  // ===== Rendering =====
+  const render = () => {
+    updateToggles();
+    renderTray();
+  };
+
+  // ===== Initialization =====
+  const init = () => {
+    try {
+      if (!catalog) return;
+
+      createTray();
+      createDialog();
+
+      if (listingsContainer) {
+        // Decorate cards each time the listings render
+        listingsContainer.addEventListener('listings:rendered', updateToggles);
+
+        listingsContainer.addEventListener('click', event => {
+          const toggle = event.target.closest('.listing-compare-toggle');
+          if (!toggle) return;
+          const card = toggle.closest('.listing-item');
+          if (card) toggleListing(card.dataset.listingId);
+        });
+      }
+
+      // Keep tabs in sync when the selection changes elsewhere
+      window.addEventListener('storage', event => {
+        if (event.key !== STORAGE_KEY) return;
+        selection = readSelection();
+        render();
+      });
+
+      catalog.loadListings()
+        .then(records => {
+          records.forEach(record => recordsById.set(record.id, record));
+          pruneSelection();
+          render();
+        })
+        .catch(error => {
+          console.error('Error loading listings for comparison:', error);
+        });
+    } catch (error) {
+      console.error('Error initializing listingCompare module:', error);
+    }
+  };
+
+  // Expose the comparison API for other Office Apartments scripts
+  window.OfficeApartments = window.OfficeApartments || {};
+  window.OfficeApartments.compare = {
+    toggle: toggleListing,
+    getSelection: () => selection.slice(),
+    open: openComparison,
+    close: closeComparison
+  };
+
+  // Event listener to run on DOMContentLoaded
+  document.addEventListener('DOMContentLoaded', init);
+
+})();
+
+//# sourceURL=listingCompare.js
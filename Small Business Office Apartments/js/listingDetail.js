@@ -0,0 +1,301 @@
+// listingDetail.js - Listing detail view for the listings.html page
+// Hash-routed modal panel (listings.html#listing1) with photo carousel, lease terms, floor plan and tour request
+
+'use strict';
+
+(() => {
+  // Cache elements
+  const detailPanel = document.getElementById('listing-detail');
+  const listingsContainer = document.getElementById('listings');
+
+  // Catalog API provided by listingsData.js
+  const catalog = window.OfficeApartments && window.OfficeApartments.listings;
+
+  // Listing records keyed by id, filled once the catalog loads
+  const recordsById = new Map();
+
+  // Panel state
+  let currentRecord = null;
+  let photoIndex = 0;
+  let returnFocusTo = null;
+  let openedInPage = false; // true when we pushed the history entry ourselves
+
+  const panelPart = selector => (detailPanel ? detailPanel.querySelector(selector) : null);
+
+  // Listing id referenced by the URL hash, e.g. "#listing2" -> "listing2"
+  const getHashListingId = () => {
+    try {
+      return decodeURIComponent(window.location.hash.slice(1));
+    } catch (error) {
+      return '';
+    }
+  };
+
+  // ===== Photo Carousel =====
+  const showPhoto = index => {
+    if (!currentRecord) return;
+    const photos = currentRecord.images;
+    const image = panelPart('.carousel-image');
+    const status = panelPart('.carousel-status');
+    const prevBtn = panelPart('.carousel-prev');
+    const nextBtn = panelPart('.carousel-next');
+
+    if (!photos.length) {
+      if (image) image.hidden = true;
+      if (status) status.textContent = 'No photos available';
+      [prevBtn, nextBtn].forEach(btn => { if (btn) btn.hidden = true; });
+      return;
+    }
+
+    photoIndex = (index + photos.length) % photos.length;
+    const photo = photos[photoIndex];
+
+    if (image) {
+      image.hidden = false;
+      image.src = catalog.resolveAsset(photo.src);
+      image.alt = photo.alt;
+    }
+    if (status) status.textContent = `Photo ${photoIndex + 1} of ${photos.length}`;
+    [prevBtn, nextBtn].forEach(btn => { if (btn) btn.hidden = photos.length < 2; });
+  };
+
+  // ===== Panel Content =====
+  const renderLeaseTerms = (list, record) => {
+    if (!list) return;
+    const {lease} = record;
+    const terms = [
+      ['Availability', catalog.formatAvailability(record.availableFrom)],
+      ['Minimum term', lease.minimumTermMonths ? `${lease.minimumTermMonths} months` : 'Flexible'],
+      ['Security deposit', lease.depositMonths
+        ? `${lease.depositMonths === 1 ? '1 month\'s' : `${lease.depositMonths} months'`} rent (${catalog.formatPrice(record.monthlyPrice * lease.depositMonths).replace('/month', '')})`
+        : 'None'],
+      ['Notice period', lease.noticePeriodDays ? `${lease.noticePeriodDays} days` : 'None'],
+      ['Utilities', lease.utilitiesIncluded ? 'Included in rent' : 'Billed separately']
+    ];
+
+    list.textContent = '';
+    terms.forEach(([term, value]) => {
+      const dt = document.createElement('dt');
+      const dd = document.createElement('dd');
+      dt.textContent = term;
+      dd.textContent = value;
+      list.appendChild(dt);
+      list.appendChild(dd);
+    });
+  };
+
+  const fillDetail = record => {
+    const setText = (selector, text) => {
+      const el = panelPart(selector);
+      if (el) el.textContent = text;
+    };
+
+    setText('.listing-detail-title', record.title);
+    setText('.listing-detail-summary', `${catalog.formatSize(record.squareFeet)} · ${catalog.formatPrice(record.monthlyPrice)}`);
+    setText('.listing-detail-description', record.details);
+
+    const amenitiesList = panelPart('.listing-detail-amenities');
+    if (amenitiesList) {
+      amenitiesList.textContent = '';
+      record.amenities.forEach(tag => {
+        const item = document.createElement('li');
+        item.className = 'listing-amenity';
+        item.textContent = tag;
+        amenitiesList.appendChild(item);
+      });
+    }
+
+    renderLeaseTerms(panelPart('.listing-detail-lease'), record);
+
+    const floorPlanFigure = panelPart('.listing-detail-floorplan');
+    const floorPlanImage = panelPart('.listing-detail-floorplan img');
+    if (floorPlanFigure && floorPlanImage) {
+      floorPlanFigure.hidden = !record.floorPlan;
+      if (record.floorPlan) {
+        floorPlanImage.src = catalog.resolveAsset(record.floorPlan);
+        floorPlanImage.alt = `Floor plan of ${record.title}`;
+      }
+    }
+
+    const calculator = window.OfficeApartments.leaseCalculator;
+    if (calculator) calculator.mount(panelPart('.lease-calculator'), record);
+
+    const tourLink = panelPart('.listing-tour-btn');
+    if (tourLink) {
+      tourLink.href = `contact.html?listing=${encodeURIComponent(record.id)}&type=tour`;
+    }
+
+    currentRecord = record;
+    showPhoto(0);
+  };
+
+  // ===== Open / Close =====
+  const showPanel = record => {
+    fillDetail(record);
+    detailPanel.hidden = false;
+    document.body.classList.add('no-scroll');
+
+    const panel = panelPart('.listing-detail-panel');
+    if (panel) panel.focus();
+  };
+
+  const hidePanel = () => {
+    if (detailPanel.hidden) return;
+    detailPanel.hidden = true;
+    document.body.classList.remove('no-scroll');
+    currentRecord = null;
+    openedInPage = false;
+
+    // Return focus to the link that opened the panel, or to the matching card
+    if (returnFocusTo && document.contains(returnFocusTo)) {
+      returnFocusTo.focus();
+    }
+    returnFocusTo = null;
+  };
+
+  // Open the detail view for a listing, adding a history entry so the URL can be shared
+  const openDetail = (id, trigger = null) => {
+    const record = recordsById.get(id);
+    if (!record) return;
+
+    returnFocusTo = trigger;
+    if (getHashListingId() !== id) {
+      window.history.pushState(window.history.state, '', `${window.location.pathname}${window.location.search}#${encodeURIComponent(id)}`);
+      openedInPage = true;
+    }
+    showPanel(record);
+  };
+
+  // Close the detail view and drop the listing hash from the URL
+  const closeDetail = () => {
+    if (!detailPanel || detailPanel.hidden) return;
+
+    if (openedInPage) {
+      // popstate will hide the panel
+      window.history.back();
+      return;
+    }
+
+    window.history.replaceState(window.history.state, '', `${window.location.pathname}${window.location.search}`);
+    hidePanel();
+  };
+
+  // Show or hide the panel to match the URL hash
+  const syncWithHash = () => {
+    const id = getHashListingId();
+    const record = recordsById.get(id);
+
+    if (record) {
+      if (!currentRecord || currentRecord.id !== id) {
+        if (!returnFocusTo) returnFocusTo = document.querySelector(`[data-listing-id="${id}"] .listing-details-link`);
+        showPanel(record);
+      }
+    } else {
+      hidePanel();
+    }
+  };
+
+  // ===== Keyboard Handling =====
+  // Escape closes, arrow keys move through photos, and Tab stays inside the dialog
+  const handleKeydown = event => {
+    if (detailPanel.hidden) return;
+
+    switch (event.key) {
+      case 'Escape':
+        event.preventDefault();
+        closeDetail();
+        break;
+      case 'ArrowLeft':
+      case 'ArrowRight':
+        if (!event.target.closest('.listing-carousel')) return;
+        event.preventDefault();
+        showPhoto(photoIndex + (event.key === 'ArrowRight' ? 1 : -1));
+        break;
+      case 'Tab': {
+        const focusable = Array.from(detailPanel.querySelectorAll('a[href], button:not([disabled]), input, select, textarea, [tabindex]:not([tabindex="-1"])'))
+          .filter(el => !el.hidden && el.getClientRects().length > 0);
+        if (!focusable.length) return;
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (event.shiftKey && (document.activeElement === first || !detailPanel.contains(document.activeElement))) {
+          event.preventDefault();
+          last.focus();
+        } else if (!event.shiftKey && document.activeElement === last) {
+          event.preventDefault();
+          first.focus();
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  };
+
+  // ===== Initialization =====
+  const bindEvents = () => {
+    // "View details" links inside listing cards
+    listingsContainer.addEventListener('click', event => {
+      const link = event.target.closest('.listing-details-link');
+      if (!link) return;
+      const card = link.closest('.listing-item');
+      if (!card) return;
+
+      // Handle the hash ourselves so main.js smooth scrolling does not jump to the card
+      event.preventDefault();
+      event.stopPropagation();
+      openDetail(card.dataset.listingId, link);
+    });
+
+    detailPanel.addEventListener('click', event => {
+      if (event.target.closest('[data-detail-close]')) {
+        event.preventDefault();
+        closeDetail();
+      } else if (event.target.closest('.carousel-prev')) {
+        showPhoto(photoIndex - 1);
+      } else if (event.target.closest('.carousel-next')) {
+        showPhoto(photoIndex + 1);
+      }
+    });
+
+    document.addEventListener('keydown', handleKeydown);
+    window.addEventListener('popstate', syncWithHash);
+    window.addEventListener('hashchange', syncWithHash);
+  };
+
+  const init = () => {
+    try {
+      if (!detailPanel || !listingsContainer || !catalog) {
+        // Not on listings.html page, safely abort
+        return;
+      }
+
+      bindEvents();
+
+      catalog.loadListings()
+        .then(records => {
+          records.forEach(record => recordsById.set(record.id, record));
+          // Deep link: open the listing named in the URL
+          syncWithHash();
+        })
+        .catch(error => {
+          console.error('Error loading listing details:', error);
+        });
+    } catch (error) {
+      console.error('Error initializing listingDetail module:', error);
+    }
+  };
+
+  // Expose detail view controls for other listings page scripts
+  window.OfficeApartments = window.OfficeApartments || {};
+  window.OfficeApartments.detail = {
+    open: openDetail,
+    close: closeDetail,
+    getCurrentRecord: () => currentRecord
+  };
+
+  // Event listener to run on DOMContentLoaded
+  document.addEventListener('DOMContentLoaded', init);
+
+})();
+
+//# sourceURL=listingDetail.js
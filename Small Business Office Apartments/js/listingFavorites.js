@@ -0,0 +1,174 @@
+// listingFavorites.js - Saved listings (shortlist) for the listings.html page
+// Heart toggles on listing cards backed by localStorage, plus a "Saved" view that flags units no longer listed
+
+'use strict';
+
+(() => {
+  // Shared with main.js, which shows the saved count in the header navigation
+  const STORAGE_KEY = 'sboa:favorites';
+
+  // Catalog API provided by listingsData.js
+  const catalog = window.OfficeApartments && window.OfficeApartments.listings;
+
+  // Cache elements
+  const listingsContainer = document.getElementById('listings');
+  const savedToggle = document.getElementById('saved-only');
+  const missingNotice = document.getElementById('saved-missing');
+
+  // Listing records keyed by id, filled once the catalog loads
+  const recordsById = new Map();
+  let catalogLoaded = false;
+
+  // ===== Storage =====
+  // Entries keep a title snapshot so units removed from the catalog can still be named
+  const readFavorites = () => {
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+      return Array.isArray(saved) ? saved.filter(entry => entry && typeof entry.id === 'string') : [];
+    } catch (error) {
+      return [];
+    }
+  };
+
+  let favorites = readFavorites();
+
+  const writeFavorites = () => {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(favorites));
+    } catch (error) {
+      // Storage may be unavailable (private mode); the shortlist lasts for this page only
+    }
+    document.dispatchEvent(new CustomEvent('favorites:change', {detail: {count: favorites.length}}));
+  };
+
+  const isSaved = id => favorites.some(entry => entry.id === id);
+
+  const toggleFavorite = id => {
+    const record = recordsById.get(id);
+    if (isSaved(id)) {
+      favorites = favorites.filter(entry => entry.id !== id);
+    } else if (record) {
+      favorites = favorites.concat({id, title: record.title, savedAt: new Date().toISOString()});
+    } else {
+      return;
+    }
+    writeFavorites();
+    render();
+  };
+
+  const removeMissing = () => {
+    favorites = favorites.filter(entry => recordsById.has(entry.id));
+    writeFavorites();
+    render();
+  };
+
+  // ===== Card Toggles =====
+  const updateToggles = () => {
+    if (!listingsContainer) return;
+    listingsContainer.querySelectorAll('.listing-item').forEach(card => {
+      const toggle = card.querySelector('.listing-save-toggle');
+      if (!toggle) return;
+      const record = recordsById.get(card.dataset.listingId);
+      const saved = isSaved(card.dataset.listingId);
+      const title = record ? record.title : 'this listing';
+      toggle.setAttribute('aria-pressed', String(saved));
+      toggle.setAttribute('aria-label', saved ? `Remove ${title} from saved listings` : `Save ${title}`);
+      toggle.querySelector('.listing-save-icon').textContent = saved ? '♥' : '♡';
+      card.classList.toggle('is-saved', saved);
+    });
+  };
+
+  // ===== Saved View =====
+  // Update the count on the "Saved" toggle and list saved units that are no longer in the catalog
+  const renderSavedView = () => {
+    const countEl = document.getElementById('saved-count');
+    if (countEl) countEl.textContent = `(${favorites.length})`;
+
+    if (!missingNotice || !catalogLoaded) return;
+
+    const missing = favorites.filter(entry => !recordsById.has(entry.id));
+    const showNotice = Boolean(savedToggle && savedToggle.checked && missing.length);
+    missingNotice.hidden = !showNotice;
+    if (!showNotice) return;
+
+    const list = missingNotice.querySelector('.saved-missing-list');
+    list.textContent = '';
+    missing.forEach(entry => {
+      const item = document.createElement('li');
+      item.textContent = entry.title || entry.id;
+      list.appendChild(item);
+    });
+    missingNotice.querySelector('.saved-missing-heading').textContent =
+      `${missing.length} saved unit${missing.length !== 1 ? 's are' : ' is'} no longer available:`;
+  };
+
+  const render = () => {
+    updateToggles();
+    renderSavedView();
+  };
+
+  // ===== Initialization =====
+  const init = () => {
+    try {
+      if (!listingsContainer || !catalog) {
+        // Not on listings.html page, safely abort
+        return;
+      }
+
+      listingsContainer.addEventListener('listings:rendered', updateToggles);
+
+      listingsContainer.addEventListener('click', event => {
+        const toggle = event.target.closest('.listing-save-toggle');
+        if (!toggle) return;
+        const card = toggle.closest('.listing-item');
+        if (card) toggleFavorite(card.dataset.listingId);
+      });
+
+      if (savedToggle) savedToggle.addEventListener('change', renderSavedView);
+
+      if (missingNotice) {
+        missingNotice.addEventListener('click', event => {
+          if (event.target.closest('.saved-missing-remove')) removeMissing();
+        });
+      }
+
+      // Keep tabs in sync when the shortlist changes elsewhere
+      window.addEventListener('storage', event => {
+        if (event.key !== STORAGE_KEY) return;
+        favorites = readFavorites();
+        render();
+        document.dispatchEvent(new CustomEvent('favorites:change', {detail: {count: favorites.length}}));
+      });
+
+      // The Saved checkbox is restored from the URL (on load and on back/forward) after this
+      // module starts; every filter pass follows such a restore, so redraw the notice then
+      listingsContainer.addEventListener('listings:filtered', renderSavedView);
+
+      catalog.loadListings()
+        .then(records => {
+          records.forEach(record => recordsById.set(record.id, record));
+          catalogLoaded = true;
+          render();
+        })
+        .catch(error => {
+          console.error('Error loading listings for saved view:', error);
+        });
+    } catch (error) {
+      console.error('Error initializing listingFavorites module:', error);
+    }
+  };
+
+  // Expose the shortlist API for other listings page scripts
+  window.OfficeApartments = window.OfficeApartments || {};
+  window.OfficeApartments.favorites = {
+    isSaved,
+    toggle: toggleFavorite,
+    getAll: () => favorites.slice()
+  };
+
+  // Event listener to run on DOMContentLoaded
+  document.addEventListener('DOMContentLoaded', init);
+
+})();
+
+//# sourceURL=listingFavorites.js
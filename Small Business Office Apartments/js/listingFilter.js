@@ -6,15 +6,64 @@
 (() => {
   // Cache elements
   const filterForm = document.getElementById('filter-form');
-  const listingsContainer = document.getElementById('listings-container');
+  const listingsContainer = document.getElementById('listings');
 
-  // Mock data: In a real project, this data may come from server or JSON file
-  // Here we derive listings from DOM at page load or assume a collection exists
-  // For demonstration, assume listings container has children .listing-item elements with data attributes
+  // Catalog and keyword search APIs provided by listingsData.js and listingSearch.js
+  const catalog = window.OfficeApartments && window.OfficeApartments.listings;
+  const search = window.OfficeApartments && window.OfficeApartments.search;
+
+  // Shortlist API provided by listingFavorites.js (looked up lazily, it loads after this script)
+  const getFavorites = () => window.OfficeApartments && window.OfficeApartments.favorites;
+
+  // Listing records loaded from the catalog, and their rendered cards keyed by listing id
+  let listingRecords = [];
+  const cardsById = new Map();
 
   // Selector for individual listing items
   const listingSelector = '.listing-item';
 
+  // Numeric range filters, each driven by a dual-handle slider and a pair of number inputs.
+  // Keys match the data-range-filter attribute on the fieldset in listings.html.
+  const rangeFilters = {
+    price: {field: 'monthlyPrice', step: 50, format: value => `$${value.toLocaleString('en-US')}`},
+    sqft: {field: 'squareFeet', step: 10, format: value => `${value.toLocaleString('en-US')} sq ft`}
+  };
+
+  // Sort comparators keyed by the values of the #sort-order select
+  const listedTime = record => Date.parse(record.listedAt) || 0;
+  const sortComparators = {
+    'price-asc': (a, b) => a.monthlyPrice - b.monthlyPrice,
+    'price-desc': (a, b) => b.monthlyPrice - a.monthlyPrice,
+    'size-desc': (a, b) => b.squareFeet - a.squareFeet,
+    'size-asc': (a, b) => a.squareFeet - b.squareFeet,
+    'newest': (a, b) => listedTime(b) - listedTime(a),
+    'price-per-sqft': (a, b) => catalog.getPricePerSqft(a) - catalog.getPricePerSqft(b)
+  };
+
+  // Sort order is remembered between visits
+  const SORT_STORAGE_KEY = 'sboa:listingSort';
+  const sortSelect = document.getElementById('sort-order');
+
+  // Free-text search box in the filter form
+  const searchInput = document.getElementById('listing-search');
+
+  // "Saved only" view toggle
+  const savedToggle = document.getElementById('saved-only');
+
+  // Move-in date: hide units that are not free by then
+  const moveInInput = document.getElementById('move-in-date');
+
+  // Read an optional numeric data attribute, returning null when it is missing
+  const readBound = (el, name) => {
+    const value = parseFloat(el.dataset[name]);
+    return Number.isFinite(value) ? value : null;
+  };
+
+  // Size checkbox ranges from their data-min/data-max attributes (min exclusive, max inclusive)
+  const getSizeRange = input => ({min: readBound(input, 'min'), max: readBound(input, 'max')});
+
+  const inSizeRange = (sqft, range) => (range.min === null || sqft > range.min) && (range.max === null || sqft <= range.max);
+
   // Utility debounce
   const debounce = (func, wait, immediate = false) => {
     let timeout;
@@ -31,12 +80,29 @@
     };
   };
 
+  // Controls that make up a single range filter
+  const getRangeControls = key => {
+    const group = filterForm ? filterForm.querySelector(`[data-range-filter="${key}"]`) : null;
+    if (!group) return null;
+    return {
+      group,
+      minSlider: group.querySelector('.range-slider-min'),
+      maxSlider: group.querySelector('.range-slider-max'),
+      minInput: group.querySelector('.range-input-min'),
+      maxInput: group.querySelector('.range-input-max')
+    };
+  };
+
   // Parse filter criteria from form inputs
   const getFilters = () => {
     if (!filterForm) return null;
     const filters = {
       sizes: new Set(), // e.g. 'small', 'medium', 'large'
-      price: [] // store price range strings or min/max number
+      price: {min: null, max: null}, // monthly rent in dollars
+      sqft: {min: null, max: null}, // floor area in square feet
+      query: '', // free-text keywords
+      savedOnly: false, // only shortlisted listings
+      moveIn: '' // ISO date (yyyy-mm-dd) the tenant wants to move in by
     };
 
     try {
@@ -45,10 +111,30 @@
         filters.sizes.add(input.value.toLowerCase());
       });
 
-      // Price range - assuming radio buttons or checkboxes with name="price"
-      // Extract minimum and maximum price or range id
-      filterForm.querySelectorAll('input[name="price"]:checked').forEach(input => {
-        filters.price.push(input.value.toLowerCase());
+      // Saved view - only listings on the visitor's shortlist
+      filters.savedOnly = Boolean(savedToggle && savedToggle.checked);
+
+      // Move-in date
+      if (moveInInput) {
+        filters.moveIn = moveInInput.value;
+      }
+
+      // Keywords - matched against titles, descriptions and amenities
+      if (searchInput) {
+        filters.query = searchInput.value.trim();
+      }
+
+      // Numeric ranges - read from the sliders, which only ever hold in-range values;
+      // a number box still being typed into is left out until it is committed
+      Object.keys(rangeFilters).forEach(key => {
+        const controls = getRangeControls(key);
+        if (!controls) return;
+        const min = parseFloat(controls.minSlider.value);
+        const max = parseFloat(controls.maxSlider.value);
+        filters[key] = {
+          min: Number.isFinite(min) ? min : null,
+          max: Number.isFinite(max) ? max : null
+        };
       });
     } catch (error) {
       console.error('Error reading filter inputs:', error);
@@ -57,65 +143,321 @@
     return filters;
   };
 
-  // Filtering logic based on listing data attributes
-  // Each listing item is expected to have data-size and data-price attributes
+  // Check a single listing record against the active filters
+  const matchesFilters = (record, filters) => {
+    const sizePass = filters.sizes.size === 0 || Array.from(filters.sizes).some(size => {
+      const input = filterForm.querySelector(`input[name="size"][value="${size}"]`);
+      return input ? inSizeRange(record.squareFeet, getSizeRange(input)) : true;
+    });
+
+    const rangePass = Object.keys(rangeFilters).every(key => {
+      const range = filters[key];
+      const value = record[rangeFilters[key].field];
+      if (!range) return true;
+      return (range.min === null || value >= range.min) && (range.max === null || value <= range.max);
+    });
+
+    const searchPass = !filters.query || !search || search.matchRecord(record, filters.query) !== null;
+
+    // Units without an availability date are free now
+    const moveInTime = Date.parse(filters.moveIn);
+    const availableTime = Date.parse(record.availableFrom);
+    const moveInPass = !Number.isFinite(moveInTime) || !Number.isFinite(availableTime) || availableTime <= moveInTime;
+
+    const favorites = getFavorites();
+    const savedPass = !filters.savedOnly || !favorites || favorites.isSaved(record.id);
+
+    return sizePass && rangePass && searchPass && savedPass && moveInPass;
+  };
+
+  // ===== Range Sliders =====
+  const drawRange = (key, controls, min, max) => {
+    const {minSlider, maxSlider, group} = controls;
+    const lower = parseFloat(minSlider.min);
+    const upper = parseFloat(minSlider.max);
+
+    const {format} = rangeFilters[key];
+    minSlider.setAttribute('aria-valuetext', format(min));
+    maxSlider.setAttribute('aria-valuetext', format(max));
+
+    // Highlight the selected part of the track
+    const span = upper - lower || 1;
+    group.style.setProperty('--range-start', `${((min - lower) / span) * 100}%`);
+    group.style.setProperty('--range-end', `${((max - lower) / span) * 100}%`);
+  };
+
+  // Keep slider handles, number inputs and the highlighted track in step with each other.
+  // `source` is the control the user changed; the opposite handle is never pushed past it.
+  const syncRange = (key, source) => {
+    const controls = getRangeControls(key);
+    if (!controls) return;
+
+    const {minSlider, maxSlider, minInput, maxInput} = controls;
+    const lower = parseFloat(minSlider.min);
+    const upper = parseFloat(minSlider.max);
+    const clamp = value => Math.min(upper, Math.max(lower, value));
+
+    const fromMin = source === minSlider || source === minInput;
+    const minSource = source === minInput ? minInput : minSlider;
+    const maxSource = source === maxInput ? maxInput : maxSlider;
+
+    let min = clamp(parseFloat(minSource.value));
+    let max = clamp(parseFloat(maxSource.value));
+    if (!Number.isFinite(min)) min = lower;
+    if (!Number.isFinite(max)) max = upper;
+
+    if (min > max) {
+      if (fromMin) {
+        max = min;
+      } else {
+        min = max;
+      }
+    }
+
+    minSlider.value = minInput.value = min;
+    maxSlider.value = maxInput.value = max;
+    drawRange(key, controls, min, max);
+  };
+
+  // While a number box is being typed into, follow it with the slider only once it holds
+  // a usable value. The box itself is left alone; syncRange tidies it up on change.
+  const previewRangeInput = (key, input) => {
+    const controls = getRangeControls(key);
+    if (!controls) return;
+
+    const {minSlider, maxSlider, minInput} = controls;
+    const value = parseFloat(input.value);
+    const isMin = input === minInput;
+    const other = parseFloat((isMin ? maxSlider : minSlider).value);
+    if (!Number.isFinite(value) || value < parseFloat(minSlider.min) || value > parseFloat(minSlider.max)) return;
+    if (isMin ? value > other : value < other) return;
+
+    (isMin ? minSlider : maxSlider).value = value;
+    drawRange(key, controls, parseFloat(minSlider.value), parseFloat(maxSlider.value));
+  };
+
+  const isRangeNumberInput = field => field.classList.contains('range-input-min') || field.classList.contains('range-input-max');
+
+  // Set slider and number input bounds from the actual listing values
+  const initRangeFilters = () => {
+    Object.keys(rangeFilters).forEach(key => {
+      const controls = getRangeControls(key);
+      if (!controls) return;
+
+      const {field, step} = rangeFilters[key];
+      const values = listingRecords.map(record => record[field]).filter(Number.isFinite);
+      const lower = values.length ? Math.floor(Math.min(...values) / step) * step : 0;
+      const upper = values.length ? Math.ceil(Math.max(...values) / step) * step : step;
+
+      [controls.minSlider, controls.maxSlider, controls.minInput, controls.maxInput].forEach(input => {
+        input.min = lower;
+        input.max = upper;
+        input.step = step;
+      });
+
+      // Default values double as the form reset state
+      controls.minSlider.defaultValue = controls.minInput.defaultValue = lower;
+      controls.maxSlider.defaultValue = controls.maxInput.defaultValue = upper;
+      syncRange(key, null);
+    });
+  };
+
+  // Show how many listings fall in each size bucket, based on real square footage
+  const updateSizeCounts = () => {
+    filterForm.querySelectorAll('input[name="size"]').forEach(input => {
+      const range = getSizeRange(input);
+      const count = listingRecords.filter(record => inSizeRange(record.squareFeet, range)).length;
+      const label = input.closest('label');
+      if (!label) return;
+
+      let badge = label.querySelector('.filter-count');
+      if (!badge) {
+        badge = document.createElement('span');
+        badge.className = 'filter-count';
+        label.appendChild(badge);
+      }
+      badge.textContent = `(${count})`;
+    });
+  };
+
+  // ===== Sorting =====
+  // Return records in the selected order; ties keep their catalog order
+  const getSortedRecords = sortKey => {
+    const comparator = sortComparators[sortKey];
+    if (!comparator) return listingRecords.slice();
+
+    return listingRecords
+      .map((record, index) => ({record, index}))
+      .sort((a, b) => comparator(a.record, b.record) || a.index - b.index)
+      .map(entry => entry.record);
+  };
+
+  // Reorder the listing cards in place to match the selected sort
+  const sortListings = () => {
+    if (!listingsContainer) return;
+
+    try {
+      const sortKey = sortSelect ? sortSelect.value : '';
+      // Moving cards drops focus, so remember it when it sits inside a card
+      const focused = listingsContainer.contains(document.activeElement) ? document.activeElement : null;
+      const fragment = document.createDocumentFragment();
+      getSortedRecords(sortKey).forEach(record => {
+        const card = cardsById.get(record.id);
+        if (card) fragment.appendChild(card);
+      });
+      listingsContainer.appendChild(fragment);
+      if (focused && document.activeElement !== focused) focused.focus({preventScroll: true});
+    } catch (error) {
+      console.error('Error sorting listings:', error);
+    }
+  };
+
+  const saveSortOrder = () => {
+    try {
+      if (sortSelect) localStorage.setItem(SORT_STORAGE_KEY, sortSelect.value);
+    } catch (error) {
+      // Storage may be unavailable (private mode); sorting still works for this visit
+    }
+  };
+
+  const restoreSortOrder = () => {
+    try {
+      const saved = localStorage.getItem(SORT_STORAGE_KEY);
+      if (sortSelect && saved && sortComparators[saved]) {
+        sortSelect.value = saved;
+      }
+    } catch (error) {
+      // Ignore unavailable storage and keep the default order
+    }
+  };
+
+  // ===== URL State =====
+  // Filter form fields are mirrored in the query string (size, price-min, sqft-max, sort, ...)
+  // so a filtered view can be reloaded, shared, and stepped through with back/forward.
+  const getDefaultValue = field => {
+    if (field.tagName === 'SELECT') {
+      const option = Array.from(field.options).find(opt => opt.defaultSelected) || field.options[0];
+      return option ? option.value : '';
+    }
+    return field.defaultValue;
+  };
+
+  // Serialize fields that differ from their defaults
+  const serializeFilters = () => {
+    const params = new URLSearchParams();
+    Array.from(filterForm.elements).forEach(field => {
+      if (!field.name || field.disabled) return;
+      if (field.type === 'checkbox' || field.type === 'radio') {
+        if (field.checked) params.append(field.name, field.value);
+      } else if (field.value !== '' && String(field.value) !== String(getDefaultValue(field))) {
+        params.set(field.name, field.value.trim());
+      }
+    });
+    return params;
+  };
+
+  // Apply query parameters to the form; fields absent from the query return to their defaults
+  // unless `keepMissing` is set (used on first load so the saved sort order survives).
+  const applyFilterParams = (params, {keepMissing = false} = {}) => {
+    Array.from(filterForm.elements).forEach(field => {
+      if (!field.name) return;
+      if (field.type === 'checkbox' || field.type === 'radio') {
+        if (keepMissing && !params.has(field.name)) return;
+        field.checked = params.getAll(field.name).includes(field.value);
+      } else if (params.has(field.name)) {
+        field.value = params.get(field.name);
+      } else if (!keepMissing) {
+        field.value = getDefaultValue(field);
+      }
+    });
+
+    // Move the slider handles to the restored number values
+    Object.keys(rangeFilters).forEach(key => {
+      const controls = getRangeControls(key);
+      if (!controls) return;
+      controls.minSlider.value = controls.minInput.value;
+      controls.maxSlider.value = controls.maxInput.value;
+      syncRange(key, null);
+    });
+  };
+
+  const buildFilterUrl = params => {
+    const query = params.toString();
+    return `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+  };
+
+  // Filter part of a query string; parameters without a form field (the page number kept by
+  // listingPagination.js) are left out so they do not count as a filter change
+  const getFilterQuery = search => {
+    const params = new URLSearchParams(search);
+    Array.from(new Set(params.keys())).forEach(name => {
+      if (!filterForm.elements.namedItem(name)) params.delete(name);
+    });
+    return params.toString();
+  };
+
+  // Record the current filters as a new history entry when they changed
+  const commitUrlState = () => {
+    try {
+      const params = serializeFilters();
+      if (params.toString() === getFilterQuery(window.location.search)) return;
+      window.history.pushState({listingFilters: params.toString()}, '', buildFilterUrl(params));
+    } catch (error) {
+      console.error('Error updating filter URL state:', error);
+    }
+  };
+
+  // Restore filters from the URL on load and on back/forward navigation
+  const restoreUrlState = (options = {}) => {
+    try {
+      applyFilterParams(new URLSearchParams(window.location.search), options);
+    } catch (error) {
+      console.error('Error restoring filter URL state:', error);
+    }
+  };
+
+  // Filtering logic based on the catalog records rather than DOM attributes
   const filterListings = () => {
     if (!listingsContainer) return;
 
     const filters = getFilters();
     if (!filters) return;
 
-    // Gather all listing elements
-    const listings = listingsContainer.querySelectorAll(listingSelector);
+    listingRecords.forEach(record => {
+      const listing = cardsById.get(record.id);
+      if (!listing) return;
 
-    listings.forEach(listing => {
       try {
-        const size = listing.getAttribute('data-size') ? listing.getAttribute('data-size').toLowerCase() : '';
-        const priceStr = listing.getAttribute('data-price') || '';
-        // Convert price to number for range comparison
-        const priceNum = parseFloat(priceStr.replace(/[^0-9.]/g, '')) || 0;
-
-        // Check size filter
-        let sizePass = true;
-        if (filters.sizes.size > 0) {
-          sizePass = filters.sizes.has(size);
-        }
-
-        // Check price filter
-        let pricePass = true;
-        if (filters.price.length > 0) {
-          pricePass = filters.price.some(range => {
-            // Expected price filter values: e.g., "low", "medium", "high"
-            // Define ranges:
-            // low: < 1000
-            // medium: 1000-2000
-            // high: > 2000
-            switch(range) {
-              case 'low':
-                return priceNum < 1000;
-              case 'medium':
-                return priceNum >= 1000 && priceNum <= 2000;
-              case 'high':
-                return priceNum > 2000;
-              default:
-                return true;
-            }
-          });
-        }
-// Display if passes all filters
-        if (sizePass && pricePass) {
+        // Display if passes all filters
+        const visible = matchesFilters(record, filters);
+        if (visible) {
           listing.style.display = '';
           listing.setAttribute('aria-hidden', 'false');
         } else {
           listing.style.display = 'none';
           listing.setAttribute('aria-hidden', 'true');
         }
+
+        // Highlight matched keywords in visible cards, clear them elsewhere
+        if (search) {
+          const matchedWords = visible && filters.query ? search.matchRecord(record, filters.query) : null;
+          search.highlightCard(listing, record, matchedWords);
+        }
       } catch (error) {
         console.error('Error filtering listing element:', listing, error);
       }
     });
 
+    // Keep visible order in step with the sort before announcing the new count
+    sortListings();
     updateResultsCount();
+
+    // Let other views (the building map) mirror which units are shown
+    const visibleIds = listingRecords.filter(record => {
+      const listing = cardsById.get(record.id);
+      return listing && listing.style.display !== 'none';
+    }).map(record => record.id);
+    listingsContainer.dispatchEvent(new CustomEvent('listings:filtered', {bubbles: true, detail: {visibleIds}}));
   };
 
   // Update count of displayed listings for user feedback
@@ -135,7 +477,10 @@
         }
       }
 
-      resultsCounter.textContent = `${visibleCount} office apartment${visibleCount !== 1 ? 's' : ''} found.`;
+      const query = searchInput ? searchInput.value.trim() : '';
+      const matchText = query ? ` matching "${query}"` : '';
+      const savedText = savedToggle && savedToggle.checked ? 'saved ' : '';
+      resultsCounter.textContent = `${visibleCount} ${savedText}office apartment${visibleCount !== 1 ? 's' : ''}${matchText} found.`;
 
       // Accessibility: Announce changes dynamically
       resultsCounter.setAttribute('aria-live', 'polite');
@@ -152,6 +497,7 @@
 
       // Reset form inputs
       filterForm.reset();
+      Object.keys(rangeFilters).forEach(key => syncRange(key, null));
 
       // Trigger filtering to show all
       filterListings();
@@ -165,10 +511,81 @@
     try {
       if (!filterForm) return;
 
+      initRangeFilters();
+      updateSizeCounts();
+      restoreSortOrder();
+      restoreUrlState({keepMissing: true});
+
+      // Normalize the current entry so back/forward can return to the initial view
+      const initialParams = serializeFilters();
+      window.history.replaceState({listingFilters: initialParams.toString()}, '', buildFilterUrl(initialParams));
+
       // Attach change event with debounce
-      filterForm.addEventListener('change', debounce(() => {
+      const debouncedFilter = debounce(() => {
         filterListings();
-      }, 250));
+        commitUrlState();
+      }, 250);
+      // Half-typed numbers update the results but are not recorded in the URL yet
+      const debouncedPreview = debounce(filterListings, 250);
+
+      // A committed number box is clamped to its bounds and kept on its side of the other handle
+      const commitRangeInput = field => {
+        const group = field && field.closest ? field.closest('[data-range-filter]') : null;
+        if (group && isRangeNumberInput(field)) syncRange(group.dataset.rangeFilter, field);
+      };
+
+      filterForm.addEventListener('change', event => {
+        if (event.target === sortSelect) saveSortOrder();
+        commitRangeInput(event.target);
+        debouncedFilter();
+      });
+
+      // Keep range controls in sync while a handle is dragged or a number typed,
+      // and search as the visitor types
+      filterForm.addEventListener('input', event => {
+        if (event.target === searchInput) {
+          debouncedFilter();
+          return;
+        }
+        const group = event.target.closest('[data-range-filter]');
+        if (!group) return;
+        if (isRangeNumberInput(event.target)) {
+          previewRangeInput(group.dataset.rangeFilter, event.target);
+          debouncedPreview();
+          return;
+        }
+        syncRange(group.dataset.rangeFilter, event.target);
+        debouncedFilter();
+      });
+
+      // Filtering happens in place; pressing Enter in the search box must not reload the page
+      filterForm.addEventListener('submit', event => {
+        event.preventDefault();
+        commitRangeInput(document.activeElement);
+        filterListings();
+        commitUrlState();
+      });
+
+      // Native reset restores default values, then the tracks need redrawing
+      filterForm.addEventListener('reset', () => {
+        setTimeout(() => {
+          Object.keys(rangeFilters).forEach(key => syncRange(key, null));
+          saveSortOrder();
+          filterListings();
+          commitUrlState();
+        }, 0);
+      });
+
+      // Unsaving a listing in the Saved view removes it from the results
+      document.addEventListener('favorites:change', () => {
+        if (savedToggle && savedToggle.checked) filterListings();
+      });
+
+      // Back/forward moves through earlier filter states
+      window.addEventListener('popstate', () => {
+        restoreUrlState();
+        filterListings();
+      });
 
       // Create Reset button if not present
       if (!document.getElementById('filter-reset-btn')) {
@@ -224,22 +641,50 @@ if (event.key === 'ArrowDown') {
     }
   };
 
+  // Render listing cards from the catalog and keep references for filtering
+  const loadCatalog = () => {
+    catalog.renderStatus(listingsContainer, 'Loading office apartments…');
+    listingsContainer.setAttribute('aria-busy', 'true');
+
+    return catalog.loadListings()
+      .then(records => {
+        listingRecords = records;
+        cardsById.clear();
+        catalog.renderListings(listingsContainer, records).forEach(card => {
+          cardsById.set(card.id, card);
+        });
+      })
+      .catch(error => {
+        console.error('Error loading listings catalog:', error);
+        listingsContainer.setAttribute('aria-busy', 'false');
+        catalog.renderStatus(listingsContainer, 'Sorry, listings could not be loaded. Please try again later.');
+      });
+  };
+
   // Initialize module on DOM ready
   const init = () => {
     try {
-      if (!filterForm || !listingsContainer) {
+      if (!filterForm || !listingsContainer || !catalog) {
         // Not on listings.html page, safely abort
         return;
       }
 
-      initFilters();
       enhanceFilterAccessibility();
+      loadCatalog().then(initFilters);
 
     } catch (error) {
       console.error('Error initializing listingFilter module:', error);
     }
   };
 
+  // Expose the filter criteria for saved searches (listingAlerts.js)
+  window.OfficeApartments = window.OfficeApartments || {};
+  window.OfficeApartments.filters = {
+    getFilters,
+    matchesFilters,
+    serializeFilters
+  };
+
   // Event listener to run on DOMContentLoaded
   document.addEventListener('DOMContentLoaded', init);
 
@@ -0,0 +1,231 @@
+// listingMap.js - Building map view for the listings.html page
+// Plots each office apartment on a bundled SVG map of the building, so the map works offline
+
+'use strict';
+
+(() => {
+  // Building map image, relative to the site root like other catalog assets
+  const MAP_IMAGE = 'images/floorplans/building.svg';
+
+  // Chosen view (list or map) is remembered between visits
+  const VIEW_STORAGE_KEY = 'sboa:listingView';
+
+  // How long a card stays highlighted after its marker is clicked
+  const HIGHLIGHT_MS = 2000;
+
+  // Catalog API provided by listingsData.js
+  const catalog = window.OfficeApartments && window.OfficeApartments.listings;
+
+  // Cache elements
+  const listingsContainer = document.getElementById('listings');
+  const mapSection = document.getElementById('listings-map');
+  const viewToggle = document.getElementById('view-toggle');
+
+  const mapPart = selector => (mapSection ? mapSection.querySelector(selector) : null);
+
+  // Markers keyed by listing id
+  const markersById = new Map();
+  const recordsById = new Map();
+  let activeId = null;
+  let highlightTimer = null;
+
+  // ===== View Toggle =====
+  // The map view adds the map above the cards; the list stays below so markers can scroll to their card
+  const setView = view => {
+    const showMap = view === 'map';
+    mapSection.hidden = !showMap;
+    viewToggle.querySelectorAll('[data-view]').forEach(button => {
+      button.setAttribute('aria-pressed', String(button.dataset.view === view));
+    });
+    if (!showMap) closePopup();
+
+    try {
+      localStorage.setItem(VIEW_STORAGE_KEY, view);
+    } catch (error) {
+      // Storage may be unavailable (private mode); the view is not remembered
+    }
+  };
+
+  const restoreView = () => {
+    let view = 'list';
+    try {
+      view = localStorage.getItem(VIEW_STORAGE_KEY) === 'map' ? 'map' : 'list';
+    } catch (error) {
+      // Fall back to the list view
+    }
+    setView(view);
+  };
+
+  // ===== Markers =====
+  const buildMarkers = records => {
+    const layer = mapPart('.listings-map-markers');
+    if (!layer) return;
+    layer.textContent = '';
+    markersById.clear();
+
+    records.forEach(record => {
+      recordsById.set(record.id, record);
+      if (!record.mapLocation) return;
+
+      const marker = document.createElement('button');
+      marker.type = 'button';
+      marker.className = 'map-marker';
+      marker.dataset.listingId = record.id;
+      marker.style.left = `${record.mapLocation.x}%`;
+      marker.style.top = `${record.mapLocation.y}%`;
+      marker.setAttribute('aria-label', `${record.mapLocation.label ? `${record.mapLocation.label}: ` : ''}${record.title}, ${catalog.formatPrice(record.monthlyPrice)}`);
+      marker.setAttribute('aria-expanded', 'false');
+
+      const price = document.createElement('span');
+      price.className = 'map-marker-label';
+      price.setAttribute('aria-hidden', 'true');
+      price.textContent = `$${record.monthlyPrice.toLocaleString('en-US')}`;
+      marker.appendChild(price);
+
+      layer.appendChild(marker);
+      markersById.set(record.id, marker);
+    });
+  };
+
+  // Mirror the cards filterListings() left visible
+  const syncMarkers = visibleIds => {
+    const visible = new Set(visibleIds);
+    markersById.forEach((marker, id) => {
+      marker.hidden = !visible.has(id);
+    });
+    if (activeId && !visible.has(activeId)) closePopup();
+
+    const status = mapPart('.listings-map-status');
+    if (status) {
+      const shown = Array.from(markersById.keys()).filter(id => visible.has(id)).length;
+      status.textContent = shown ? '' : 'No office apartments on the map match your filters.';
+    }
+  };
+
+  const getVisibleCardIds = () => Array.from(listingsContainer.querySelectorAll('.listing-item'))
+    .filter(card => card.style.display !== 'none')
+    .map(card => card.dataset.listingId);
+
+  // ===== Popup =====
+  const openPopup = id => {
+    const record = recordsById.get(id);
+    const marker = markersById.get(id);
+    const popup = mapPart('.map-popup');
+    if (!record || !marker || !popup) return;
+
+    closePopup();
+    activeId = id;
+    marker.classList.add('is-active');
+    marker.setAttribute('aria-expanded', 'true');
+
+    popup.querySelector('.map-popup-title').textContent = record.title;
+    popup.querySelector('.map-popup-location').textContent = record.mapLocation.label;
+    popup.querySelector('.map-popup-meta').textContent = `${catalog.formatSize(record.squareFeet)} · ${catalog.formatPrice(record.monthlyPrice)}`;
+    popup.querySelector('.map-popup-availability').textContent = catalog.formatAvailability(record.availableFrom);
+
+    // Keep the popup inside the map by opening it away from the nearest edges
+    popup.style.left = `${record.mapLocation.x}%`;
+    popup.style.top = `${record.mapLocation.y}%`;
+    popup.classList.toggle('is-flipped-x', record.mapLocation.x > 60);
+    popup.classList.toggle('is-flipped-y', record.mapLocation.y > 50);
+    popup.hidden = false;
+  };
+
+  const closePopup = () => {
+    const popup = mapPart('.map-popup');
+    if (popup) popup.hidden = true;
+    const marker = activeId ? markersById.get(activeId) : null;
+    if (marker) {
+      marker.classList.remove('is-active');
+      marker.setAttribute('aria-expanded', 'false');
+    }
+    activeId = null;
+  };
+
+  // Scroll to the matching card and highlight it briefly
+  const highlightCard = id => {
+    const card = Array.from(listingsContainer.querySelectorAll('.listing-item')).find(el => el.dataset.listingId === id);
+    if (!card) return;
+
+    // The card may be on another page of results (listingPagination.js)
+    const pagination = window.OfficeApartments.pagination;
+    if (pagination) pagination.showListing(id);
+
+    listingsContainer.querySelectorAll('.listing-item.is-map-highlighted').forEach(el => el.classList.remove('is-map-highlighted'));
+    card.classList.add('is-map-highlighted');
+    card.scrollIntoView({behavior: 'smooth', block: 'center'});
+
+    clearTimeout(highlightTimer);
+    highlightTimer = setTimeout(() => card.classList.remove('is-map-highlighted'), HIGHLIGHT_MS);
+  };
+
+  // ===== Initialization =====
+  const bindEvents = () => {
+    viewToggle.addEventListener('click', event => {
+      const button = event.target.closest('[data-view]');
+      if (button) setView(button.dataset.view);
+    });
+
+    mapSection.addEventListener('click', event => {
+      const marker = event.target.closest('.map-marker');
+      if (marker) {
+        openPopup(marker.dataset.listingId);
+        highlightCard(marker.dataset.listingId);
+        return;
+      }
+
+      if (event.target.closest('.map-popup-close')) {
+        const marker = activeId ? markersById.get(activeId) : null;
+        closePopup();
+        if (marker) marker.focus();
+      } else if (event.target.closest('.map-popup-details')) {
+        const detail = window.OfficeApartments.detail;
+        if (detail && activeId) detail.open(activeId, event.target.closest('.map-popup-details'));
+      }
+    });
+
+    mapSection.addEventListener('keydown', event => {
+      if (event.key !== 'Escape' || !activeId) return;
+      const marker = markersById.get(activeId);
+      closePopup();
+      if (marker) marker.focus();
+    });
+
+    listingsContainer.addEventListener('listings:filtered', event => syncMarkers(event.detail.visibleIds));
+  };
+
+  const init = () => {
+    try {
+      if (!listingsContainer || !mapSection || !viewToggle || !catalog) {
+        // Not on listings.html page, safely abort
+        return;
+      }
+
+      const image = mapPart('.listings-map-image');
+      if (image) image.src = catalog.resolveAsset(MAP_IMAGE);
+
+      viewToggle.hidden = false;
+      bindEvents();
+      restoreView();
+
+      catalog.loadListings()
+        .then(records => {
+          buildMarkers(records);
+          syncMarkers(getVisibleCardIds());
+        })
+        .catch(error => {
+          console.error('Error loading listings for map view:', error);
+          setView('list');
+          viewToggle.hidden = true;
+        });
+    } catch (error) {
+      console.error('Error initializing listingMap module:', error);
+    }
+  };
+
+  // Event listener to run on DOMContentLoaded
+  document.addEventListener('DOMContentLoaded', init);
+
+})();
+
+//# sourceURL=listingMap.js
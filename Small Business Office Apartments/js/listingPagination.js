@@ -0,0 +1,327 @@
+// listingPagination.js - Paging for the listings.html results
+// Splits the cards that match the filters into numbered pages, or loads them in batches as the visitor scrolls.
+// The page number is kept in the URL (?page=3) next to the filter parameters written by listingFilter.js.
+
+'use strict';
+
+(() => {
+  // Cards per page unless #listings sets data-page-size
+  const DEFAULT_PAGE_SIZE = 12;
+
+  // Chosen paging mode (numbered pages or load more on scroll) is remembered between visits
+  const MODE_STORAGE_KEY = 'sboa:listingPaging';
+
+  const PAGE_PARAM = 'page';
+
+  // Cache elements
+  const listingsContainer = document.getElementById('listings');
+  const filterForm = document.getElementById('filter-form');
+  const paginationNav = document.getElementById('listings-pagination');
+  const announcer = document.getElementById('listings-announcer');
+
+  const navPart = selector => (paginationNav ? paginationNav.querySelector(selector) : null);
+
+  let pageSize = DEFAULT_PAGE_SIZE;
+  let mode = 'pages';
+  // Current page; in scroll mode, the number of pages loaded so far
+  let page = 1;
+  // Cards that pass the filters, in their sorted order
+  let matchingCards = [];
+  // Page asked for by the URL, applied when the filtered results next arrive
+  let requestedPage = null;
+  let lastFilterKey = null;
+  let observer = null;
+
+  // ===== URL State =====
+  const readPageParam = () => {
+    const value = parseInt(new URLSearchParams(window.location.search).get(PAGE_PARAM), 10);
+    return value > 0 ? value : null;
+  };
+
+  const buildPageUrl = pageNumber => {
+    const params = new URLSearchParams(window.location.search);
+    if (pageNumber > 1) {
+      params.set(PAGE_PARAM, String(pageNumber));
+    } else {
+      params.delete(PAGE_PARAM);
+    }
+    const query = params.toString();
+    return `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+  };
+
+  // Numbered page changes get their own history entry; batches loaded on scroll replace the current one
+  const writePageUrl = ({push = false} = {}) => {
+    try {
+      if ((readPageParam() || 1) === page) return;
+      const url = buildPageUrl(page);
+      if (push) {
+        window.history.pushState(window.history.state, '', url);
+      } else {
+        window.history.replaceState(window.history.state, '', url);
+      }
+    } catch (error) {
+      console.error('Error updating page URL state:', error);
+    }
+  };
+
+  // Any change to the filter or sort fields starts again from the first page
+  const getFilterKey = () => (filterForm ? new URLSearchParams(new FormData(filterForm)).toString() : '');
+
+  // ===== Paging =====
+  const getPageCount = () => Math.max(1, Math.ceil(matchingCards.length / pageSize));
+
+  const getMatchingCards = () => Array.from(listingsContainer.querySelectorAll('.listing-item'))
+    .filter(card => card.style.display !== 'none');
+
+  // Page numbers to show, with null for a gap: 1 … 4 5 6 … 10
+  const getPageItems = (count, current) => {
+    const items = [];
+    for (let number = 1; number <= count; number += 1) {
+      if (number === 1 || number === count || Math.abs(number - current) <= 1) {
+        items.push(number);
+      } else if (items[items.length - 1] !== null) {
+        items.push(null);
+      }
+    }
+    return items;
+  };
+
+  const createPageLink = (number, text, label) => {
+    const link = document.createElement('a');
+    link.className = 'pagination-link';
+    link.href = buildPageUrl(number);
+    link.dataset.page = String(number);
+    link.textContent = text;
+    if (label) link.setAttribute('aria-label', label);
+    return link;
+  };
+
+  const renderPageList = count => {
+    const list = navPart('.pagination-list');
+    if (!list) return;
+    list.textContent = '';
+
+    const addItem = content => {
+      const item = document.createElement('li');
+      item.appendChild(content);
+      list.appendChild(item);
+    };
+
+    if (page > 1) addItem(createPageLink(page - 1, 'Previous', `Previous page, page ${page - 1}`));
+    getPageItems(count, page).forEach(number => {
+      if (number === null) {
+        const gap = document.createElement('span');
+        gap.className = 'pagination-gap';
+        gap.textContent = '…';
+        addItem(gap);
+        return;
+      }
+      const link = createPageLink(number, String(number), `Page ${number}`);
+      if (number === page) link.setAttribute('aria-current', 'page');
+      addItem(link);
+    });
+    if (page < count) addItem(createPageLink(page + 1, 'Next', `Next page, page ${page + 1}`));
+  };
+
+  // Show the cards for the current page (or every batch loaded so far) and update the controls
+  const render = () => {
+    const count = getPageCount();
+    page = Math.min(Math.max(1, page), count);
+    const start = mode === 'scroll' ? 0 : (page - 1) * pageSize;
+    const end = Math.min(page * pageSize, matchingCards.length);
+
+    // Cards hidden by the filters keep their own display style
+    listingsContainer.querySelectorAll('.listing-item[hidden]').forEach(card => {
+      card.hidden = false;
+    });
+    matchingCards.forEach((card, index) => {
+      card.hidden = index < start || index >= end;
+    });
+
+    if (!paginationNav) return;
+    paginationNav.hidden = matchingCards.length <= pageSize;
+    const summary = navPart('.pagination-summary');
+    if (summary) {
+      summary.textContent = matchingCards.length
+        ? `Showing ${start + 1}–${end} of ${matchingCards.length} office apartments`
+        : '';
+    }
+
+    const list = navPart('.pagination-list');
+    if (list) list.hidden = mode !== 'pages';
+    renderPageList(count);
+
+    const moreBtn = navPart('.pagination-more');
+    if (moreBtn) moreBtn.hidden = mode !== 'scroll' || end >= matchingCards.length;
+    watchSentinel();
+  };
+
+  const announce = message => {
+    if (announcer) announcer.textContent = message;
+  };
+
+  // Move keyboard focus to a card without the page jumping past it
+  const focusCard = card => {
+    if (!card) return;
+    card.setAttribute('tabindex', '-1');
+    card.focus({preventScroll: true});
+    card.scrollIntoView({block: 'start'});
+  };
+
+  const goToPage = (number, {push = true, focus = true} = {}) => {
+    page = number;
+    render();
+    writePageUrl({push});
+    const start = (page - 1) * pageSize;
+    const end = Math.min(page * pageSize, matchingCards.length);
+    announce(`Page ${page} of ${getPageCount()}, showing office apartments ${start + 1} to ${end} of ${matchingCards.length}.`);
+    if (focus) focusCard(matchingCards[start]);
+  };
+
+  const loadMore = ({focus = false} = {}) => {
+    const shownBefore = Math.min(page * pageSize, matchingCards.length);
+    if (shownBefore >= matchingCards.length) return;
+    page += 1;
+    render();
+    writePageUrl();
+    const shown = Math.min(page * pageSize, matchingCards.length);
+    announce(`Loaded ${shown - shownBefore} more office apartment${shown - shownBefore !== 1 ? 's' : ''}. Showing ${shown} of ${matchingCards.length}.`);
+    if (focus) focusCard(matchingCards[shownBefore]);
+  };
+
+  // Make sure a card is on the current page (or loaded), for example when its map marker is clicked
+  const showListing = id => {
+    const index = matchingCards.findIndex(card => card.dataset.listingId === id);
+    if (index === -1) return false;
+    const target = Math.floor(index / pageSize) + 1;
+    if (mode === 'pages' && target !== page) {
+      goToPage(target, {focus: false});
+    } else if (mode === 'scroll' && target > page) {
+      page = target;
+      render();
+      writePageUrl();
+    }
+    return true;
+  };
+
+  // ===== Load More on Scroll =====
+  // Same IntersectionObserver approach as lazyLoadImages() in main.js; the button is the fallback
+  const watchSentinel = () => {
+    const sentinel = navPart('.pagination-sentinel');
+    if (!observer || !sentinel) return;
+    // Observing again reports the sentinel right away if it is still on screen after a batch
+    observer.unobserve(sentinel);
+    if (mode === 'scroll' && page * pageSize < matchingCards.length) observer.observe(sentinel);
+  };
+
+  const createObserver = () => {
+    if (!('IntersectionObserver' in window)) return;
+    observer = new IntersectionObserver(entries => {
+      if (entries.some(entry => entry.isIntersecting)) loadMore();
+    }, {rootMargin: '200px 0px'});
+  };
+
+  // ===== Mode =====
+  const setMode = newMode => {
+    mode = newMode === 'scroll' ? 'scroll' : 'pages';
+    const toggle = navPart('.pagination-mode-input');
+    if (toggle) toggle.checked = mode === 'scroll';
+    try {
+      localStorage.setItem(MODE_STORAGE_KEY, mode);
+    } catch (error) {
+      // Storage may be unavailable (private mode); the mode is not remembered
+    }
+  };
+
+  const restoreMode = () => {
+    let saved = 'pages';
+    try {
+      saved = localStorage.getItem(MODE_STORAGE_KEY) || 'pages';
+    } catch (error) {
+      // Fall back to numbered pages
+    }
+    setMode(saved);
+  };
+
+  // ===== Events =====
+  // Filtering and sorting (listingFilter.js) decide which cards take part
+  const handleFiltered = () => {
+    matchingCards = getMatchingCards();
+    const key = getFilterKey();
+    let keepUrl = false;
+
+    if (requestedPage !== null) {
+      page = requestedPage;
+      requestedPage = null;
+    } else if (lastFilterKey !== null && key !== lastFilterKey) {
+      // listingFilter.js writes the new filter URL, without a page number
+      page = 1;
+      keepUrl = true;
+    }
+    lastFilterKey = key;
+
+    render();
+    if (!keepUrl) writePageUrl();
+  };
+
+  const bindEvents = () => {
+    listingsContainer.addEventListener('listings:filtered', handleFiltered);
+
+    // Runs before listingFilter.js re-filters for the restored URL
+    window.addEventListener('popstate', () => {
+      requestedPage = readPageParam() || 1;
+    });
+
+    paginationNav.addEventListener('click', event => {
+      const link = event.target.closest('.pagination-link');
+      if (link) {
+        event.preventDefault();
+        goToPage(parseInt(link.dataset.page, 10));
+        return;
+      }
+      if (event.target.closest('.pagination-more')) loadMore({focus: true});
+    });
+
+    const toggle = navPart('.pagination-mode-input');
+    if (toggle) {
+      toggle.addEventListener('change', () => {
+        setMode(toggle.checked ? 'scroll' : 'pages');
+        render();
+      });
+    }
+  };
+
+  // Initialize module on DOM ready
+  const init = () => {
+    try {
+      if (!listingsContainer || !paginationNav) {
+        // Not on listings.html page, safely abort
+        return;
+      }
+
+      const configuredSize = parseInt(listingsContainer.dataset.pageSize, 10);
+      if (configuredSize > 0) pageSize = configuredSize;
+
+      // Read before listingFilter.js rewrites the URL with the restored filters
+      requestedPage = readPageParam();
+
+      restoreMode();
+      createObserver();
+      bindEvents();
+    } catch (error) {
+      console.error('Error initializing listingPagination module:', error);
+    }
+  };
+
+  // Expose paging helpers for other views (the building map)
+  window.OfficeApartments = window.OfficeApartments || {};
+  window.OfficeApartments.pagination = {
+    showListing
+  };
+
+  // Event listener to run on DOMContentLoaded
+  document.addEventListener('DOMContentLoaded', init);
+
+})();
+
+//# sourceURL=listingPagination.js
@@ -0,0 +1,127 @@
+// listingSearch.js - Keyword search for Small Business Office Apartments listings
+// Fuzzy matches titles, descriptions and amenity tags, and highlights matched words in listing cards
+
+'use strict';
+
+(() => {
+  // Words are letters and digits; "/" is kept so tags like "24/7" stay whole
+  const WORD_PATTERN = /[a-z0-9]+(?:\/[a-z0-9]+)*/g;
+
+  const tokenize = text => String(text || '').toLowerCase().match(WORD_PATTERN) || [];
+
+  // Longer terms tolerate more typos; very short terms must match exactly
+  const allowedEdits = term => {
+    if (term.length <= 3) return 0;
+    if (term.length <= 7) return 1;
+    return 2;
+  };
+
+  // Optimal string alignment distance (Levenshtein plus adjacent transpositions),
+  // abandoning early once every cell in a row exceeds `limit`
+  const editDistance = (a, b, limit) => {
+    if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+    let prevPrev = null;
+    let prev = Array.from({length: b.length + 1}, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+        if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          value = Math.min(value, prevPrev[j - 2] + 1);
+        }
+        current[j] = value;
+        rowMin = Math.min(rowMin, value);
+      }
+      if (rowMin > limit) return limit + 1;
+      prevPrev = prev;
+      prev = current;
+    }
+
+    return prev[b.length];
+  };
+
+  // A query term matches a word when the word starts with it, or is within the typo allowance.
+  // Prefixes are compared fuzzily too, so "parkng" still finds "parking".
+  const termMatchesWord = (term, word) => {
+    if (word.startsWith(term)) return true;
+    const limit = allowedEdits(term);
+    if (limit === 0) return false;
+    if (editDistance(term, word, limit) <= limit) return true;
+    return word.length > term.length && editDistance(term, word.slice(0, term.length), limit) <= limit;
+  };
+
+  // Searchable text for a record
+  const getSearchFields = record => [record.title, record.description, ...record.amenities];
+
+  // Match a record against a free-text query. Every query term must match at least one word.
+  // Returns null when the record does not match, otherwise the set of record words that matched.
+  const matchRecord = (record, query) => {
+    const terms = tokenize(query);
+    const matchedWords = new Set();
+    if (!terms.length) return matchedWords;
+
+    const words = Array.from(new Set(getSearchFields(record).flatMap(tokenize)));
+
+    const allMatched = terms.every(term => {
+      const hits = words.filter(word => termMatchesWord(term, word));
+      hits.forEach(word => matchedWords.add(word));
+      return hits.length > 0;
+    });
+
+    return allMatched ? matchedWords : null;
+  };
+
+  // Replace an element's text, wrapping matched words in <mark> elements
+  const highlightText = (el, text, matchedWords) => {
+    if (!el) return;
+    el.textContent = '';
+
+    if (!matchedWords || !matchedWords.size) {
+      el.textContent = text;
+      return;
+    }
+
+    const pattern = new RegExp(WORD_PATTERN.source, 'gi');
+    let lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      if (!matchedWords.has(match[0].toLowerCase())) continue;
+      if (match.index > lastIndex) {
+        el.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
+      }
+      const mark = document.createElement('mark');
+      mark.className = 'search-highlight';
+      mark.textContent = match[0];
+      el.appendChild(mark);
+      lastIndex = match.index + match[0].length;
+    }
+    if (lastIndex < text.length) {
+      el.appendChild(document.createTextNode(text.slice(lastIndex)));
+    }
+  };
+
+  // Highlight matched words in a rendered listing card (an empty set clears highlights)
+  const highlightCard = (card, record, matchedWords) => {
+    if (!card || !record) return;
+    highlightText(card.querySelector('.listing-title'), record.title, matchedWords);
+    highlightText(card.querySelector('.listing-description'), record.description, matchedWords);
+    card.querySelectorAll('.listing-amenity').forEach((item, index) => {
+      highlightText(item, record.amenities[index] || item.textContent, matchedWords);
+    });
+  };
+
+  // Expose the search API for the listings page scripts
+  window.OfficeApartments = window.OfficeApartments || {};
+  window.OfficeApartments.search = {
+    tokenize,
+    matchRecord,
+    highlightCard
+  };
+
+})();
+
+//# sourceURL=listingSearch.js
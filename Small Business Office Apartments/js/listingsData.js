@@ -0,0 +1,281 @@
+// listingsData.js - Listings catalog for Small Business Office Apartments
+// Loads office apartment records from the local JSON catalog and renders listing cards from a template
+
+'use strict';
+
+(() => {
+  // Catalog location, relative to the pages in html/
+  const CATALOG_URL = '../data/listings.json';
+
+  // Asset paths in the catalog are relative to the site root
+  const ASSET_BASE = '../';
+
+  // Template used to render each listing card
+  const CARD_TEMPLATE_ID = 'listing-card-template';
+
+  // Resized copies of the catalog photos, written to images/responsive/ by tools/resizeImages.js:
+  // <name>-480.jpg and <name>-800.jpg, plus a tiny <name>-placeholder.jpg shown blurred while they load.
+  // The originals are 1024px wide; a photo without variants falls back to the original (see imageLoader.js).
+  const RESPONSIVE_FOLDER = 'images/responsive/';
+  const RESPONSIVE_WIDTHS = [480, 800];
+  const ORIGINAL_WIDTH = 1024;
+  // Cards fill the listings column, which is at most 1200px wide
+  const CARD_IMAGE_SIZES = '(min-width: 1200px) 1200px, 100vw';
+
+  // Cached catalog promise so every consumer shares a single request
+  let catalogPromise = null;
+
+  // ===== Record Normalization =====
+  // Coerce a raw catalog entry into a predictable record shape
+  const normalizeRecord = raw => {
+    const toNumber = value => {
+      const num = parseFloat(String(value).replace(/[^0-9.]/g, ''));
+      return Number.isFinite(num) ? num : 0;
+    };
+
+    return {
+      id: String(raw.id || '').trim(),
+      title: String(raw.title || '').trim(),
+      description: String(raw.description || '').trim(),
+      details: String(raw.details || raw.description || '').trim(),
+      squareFeet: toNumber(raw.squareFeet),
+      monthlyPrice: toNumber(raw.monthlyPrice),
+      listedAt: raw.listedAt ? String(raw.listedAt) : '',
+      availableFrom: raw.availableFrom ? String(raw.availableFrom) : '',
+      images: Array.isArray(raw.images) ? raw.images.filter(img => img && img.src).map(img => ({
+        src: String(img.src),
+        alt: String(img.alt || '')
+      })) : [],
+      floorPlan: raw.floorPlan ? String(raw.floorPlan) : '',
+      // Marker position on the building map, as percentages of its width and height
+      mapLocation: raw.mapLocation && Number.isFinite(parseFloat(raw.mapLocation.x)) && Number.isFinite(parseFloat(raw.mapLocation.y)) ? {
+        x: Math.min(100, Math.max(0, parseFloat(raw.mapLocation.x))),
+        y: Math.min(100, Math.max(0, parseFloat(raw.mapLocation.y))),
+        label: String(raw.mapLocation.label || '').trim()
+      } : null,
+      lease: {
+        minimumTermMonths: toNumber((raw.lease && raw.lease.minimumTermMonths) || 0),
+        depositMonths: toNumber((raw.lease && raw.lease.depositMonths) || 0),
+        noticePeriodDays: toNumber((raw.lease && raw.lease.noticePeriodDays) || 0),
+        utilitiesIncluded: Boolean(raw.lease && raw.lease.utilitiesIncluded),
+        utilitiesEstimateMonthly: toNumber((raw.lease && raw.lease.utilitiesEstimateMonthly) || 0),
+        serviceChargeMonthly: toNumber((raw.lease && raw.lease.serviceChargeMonthly) || 0),
+        parkingSpaceMonthly: toNumber((raw.lease && raw.lease.parkingSpaceMonthly) || 0)
+      },
+      amenities: Array.isArray(raw.amenities) ? raw.amenities.map(tag => String(tag).trim()).filter(Boolean) : [],
+      // Archived listings stay in the catalog file but are not shown on the site
+      archived: Boolean(raw.archived)
+    };
+  };
+
+  // ===== Catalog Loading =====
+  // Fetch every catalog entry as a normalized record, archived ones included (entries without an id are dropped)
+  const fetchCatalog = (url = CATALOG_URL) => fetch(url, {headers: {'Accept': 'application/json'}})
+    .then(response => {
+      if (!response.ok) {
+        throw new Error(`Catalog request failed with status ${response.status}`);
+      }
+      return response.json();
+    })
+    .then(data => {
+      const rawListings = Array.isArray(data) ? data : (data && data.listings) || [];
+      return rawListings.map(normalizeRecord).filter(record => record.id);
+    });
+
+  // Fetch the catalog once and resolve with the listings shown on the site
+  const loadListings = (url = CATALOG_URL) => {
+    if (catalogPromise) return catalogPromise;
+
+    catalogPromise = fetchCatalog(url)
+      .then(records => records.filter(record => !record.archived))
+      .catch(error => {
+        // Allow a later call to retry after a failed request
+        catalogPromise = null;
+        throw error;
+      });
+
+    return catalogPromise;
+  };
+
+  // ===== Formatting Helpers =====
+  const priceFormatter = new Intl.NumberFormat('en-US', {style: 'currency', currency: 'USD', maximumFractionDigits: 0});
+  const numberFormatter = new Intl.NumberFormat('en-US');
+
+  const formatPrice = amount => `${priceFormatter.format(amount)}/month`;
+  const formatSize = squareFeet => `${numberFormatter.format(squareFeet)} sq ft`;
+  const dateFormatter = new Intl.DateTimeFormat('en-US', {month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC'});
+
+  // Availability text from an ISO date; past or missing dates mean the unit is free now
+  const formatAvailability = (isoDate, today = new Date()) => {
+    const time = Date.parse(isoDate);
+    if (!Number.isFinite(time) || time <= today.getTime()) return 'Available now';
+    return `Available from ${dateFormatter.format(new Date(time))}`;
+  };
+
+  const getPricePerSqft = record => (record.squareFeet > 0 ? record.monthlyPrice / record.squareFeet : 0);
+  const resolveAsset = path => (/^(?:[a-z]+:|\/)/i.test(path) ? path : ASSET_BASE + path);
+
+  // Placeholder and srcset for a catalog JPG in images/, or null for anything the resize tool does not cover
+  const getResponsiveSources = path => {
+    const match = /^images\/([^/]+)\.jpe?g$/i.exec(path);
+    if (!match) return null;
+    const candidates = RESPONSIVE_WIDTHS.map(width => `${resolveAsset(`${RESPONSIVE_FOLDER}${match[1]}-${width}.jpg`)} ${width}w`);
+    candidates.push(`${resolveAsset(path)} ${ORIGINAL_WIDTH}w`);
+    return {
+      placeholder: resolveAsset(`${RESPONSIVE_FOLDER}${match[1]}-placeholder.jpg`),
+      srcset: candidates.join(', ')
+    };
+  };
+
+  // ===== Card Rendering =====
+  // With imageLoader.js on the page the photo is lazy-loaded from its responsive variants once the card
+  // is observed (renderListings() does this); otherwise the original is set straight away
+  const setCardImage = (image, {src, alt}, lazy) => {
+    image.alt = alt;
+    const responsive = lazy && window.ImageLoader ? getResponsiveSources(src) : null;
+    if (!responsive) {
+      image.src = resolveAsset(src);
+      return;
+    }
+    image.src = responsive.placeholder;
+    image.dataset.src = resolveAsset(src);
+    image.dataset.srcset = responsive.srcset;
+    image.dataset.sizes = CARD_IMAGE_SIZES;
+  };
+
+  // Build a card element when the page does not provide a template
+  const buildFallbackCard = () => {
+    const article = document.createElement('article');
+    article.className = 'listing-item';
+    article.innerHTML = `
+      <button type="button" class="listing-save-toggle" aria-pressed="false" aria-label="Save listing"><span class="listing-save-icon" aria-hidden="true">♡</span></button>
+      <img class="listing-image" src="" alt="">
+      <div class="listing-content">
+        <h3 class="listing-title"></h3>
+        <p class="listing-description"></p>
+        <p class="listing-size"><strong>Size:</strong> <span class="listing-size-value"></span></p>
+        <p class="listing-price"><strong>Price:</strong> <span class="listing-price-value"></span></p>
+        <p class="listing-availability"></p>
+        <ul class="listing-amenities" aria-label="Amenities"></ul>
+        <div class="listing-card-actions">
+          <a href="#" class="listing-details-link">View details</a>
+          <button type="button" class="listing-compare-toggle" aria-pressed="false">Compare</button>
+          <button type="button" class="listing-print-btn" hidden>Print brochure</button>
+        </div>
+        <a href="contact.html" class="btn btn-primary listing-contact-btn">Contact for Availability</a>
+      </div>`;
+    return article;
+  };
+
+  // Render a single record into a .listing-item element; lazyImages: false sets the photo directly
+  const renderCard = (record, {lazyImages = true} = {}) => {
+    const template = document.getElementById(CARD_TEMPLATE_ID);
+    const card = template && template.content.firstElementChild
+      ? template.content.firstElementChild.cloneNode(true)
+      : buildFallbackCard();
+
+    card.id = record.id;
+    card.dataset.listingId = record.id;
+
+    const setText = (selector, text) => {
+      const el = card.querySelector(selector);
+      if (el) el.textContent = text;
+    };
+
+    setText('.listing-title', record.title);
+    setText('.listing-description', record.description);
+    setText('.listing-size-value', formatSize(record.squareFeet));
+    setText('.listing-price-value', formatPrice(record.monthlyPrice));
+    setText('.listing-availability', formatAvailability(record.availableFrom));
+
+    const image = card.querySelector('.listing-image');
+    if (image) {
+      const primary = record.images[0];
+      if (primary) {
+        setCardImage(image, primary, lazyImages);
+      } else {
+        image.remove();
+      }
+    }
+
+    const detailsLink = card.querySelector('.listing-details-link');
+    if (detailsLink) {
+      detailsLink.href = `#${record.id}`;
+      detailsLink.setAttribute('aria-label', `View details for ${record.title}`);
+    }
+
+    // Route the inquiry to this unit on contact.html (see contactInquiry.js)
+    const contactLink = card.querySelector('.listing-contact-btn');
+    if (contactLink) {
+      contactLink.href = `contact.html?listing=${encodeURIComponent(record.id)}&type=availability`;
+      contactLink.setAttribute('aria-label', `Contact us about availability of ${record.title}`);
+    }
+
+    const amenitiesList = card.querySelector('.listing-amenities');
+    if (amenitiesList) {
+      amenitiesList.textContent = '';
+      record.amenities.forEach(tag => {
+        const item = document.createElement('li');
+        item.className = 'listing-amenity';
+        item.textContent = tag;
+        amenitiesList.appendChild(item);
+      });
+      amenitiesList.hidden = record.amenities.length === 0;
+    }
+
+    return card;
+  };
+
+  // Replace the contents of a container with cards for the given records
+  const renderListings = (container, records) => {
+    if (!container) return [];
+
+    const fragment = document.createDocumentFragment();
+    const cards = records.map(record => {
+      const card = renderCard(record);
+      fragment.appendChild(card);
+      return card;
+    });
+
+    container.querySelectorAll('.listing-item, .listings-status').forEach(el => el.remove());
+    container.appendChild(fragment);
+    container.setAttribute('aria-busy', 'false');
+    if (window.ImageLoader) window.ImageLoader.observe(container);
+
+    // Let card-level features (compare, favorites, ...) decorate the new cards
+    container.dispatchEvent(new CustomEvent('listings:rendered', {bubbles: true, detail: {records, cards}}));
+    return cards;
+  };
+
+  // Show a status message (loading or error) inside the listings container
+  const renderStatus = (container, message) => {
+    if (!container) return;
+    let status = container.querySelector('.listings-status');
+    if (!status) {
+      status = document.createElement('p');
+      status.className = 'listings-status';
+      status.setAttribute('role', 'status');
+      container.appendChild(status);
+    }
+    status.textContent = message;
+  };
+
+  // Expose the catalog API for the listings page scripts
+  window.OfficeApartments = window.OfficeApartments || {};
+  window.OfficeApartments.listings = {
+    loadListings,
+    fetchCatalog,
+    normalizeRecord,
+    renderCard,
+    renderListings,
+    renderStatus,
+    formatPrice,
+    formatSize,
+    formatAvailability,
+    getPricePerSqft,
+    resolveAsset
+  };
+
+})();
+
+//# sourceURL=listingsData.js
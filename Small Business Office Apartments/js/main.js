@@ -139,6 +139,11 @@ links.forEach(link => {
   // Lazy load large images for performance
   function lazyLoadImages() {
     try {
+      // Shared loader (imageLoader.js) adds srcset, blur-up placeholders and a broken-image fallback
+      if (window.ImageLoader) {
+        window.ImageLoader.observe();
+        return;
+      }
       if ('loading' in HTMLImageElement.prototype) {
         // Native lazy loading supported
         const images = document.querySelectorAll('img[data-src]');
@@ -238,13 +243,16 @@ links.forEach(link => {
       const forms = document.querySelectorAll('form');
 
       forms.forEach(form => {
+        // Forms with inline messages and an error summary are handled by formValidation.js
+        if (form.hasAttribute('data-inline-validation')) return;
+
         // On submit prevent default if invalid and show messages
         form.addEventListener('submit', event => {
           if (!form.checkValidity()) {
             event.preventDefault();
             form.reportValidity();
           }
-          // Potentially add loading states, disable buttons here
+          // Sending and loading states for the contact form live in contactSubmit.js
         });
 
         // Enhance inputs with real-time validation and ARIA
@@ -268,6 +276,40 @@ links.forEach(link => {
     }
   }
 
+  // ===== Saved Listings Badge =====
+  // Show the number of shortlisted listings (see listingFavorites.js) on the Listings nav link
+  const SAVED_STORAGE_KEY = 'sboa:favorites';
+
+  function updateSavedBadge() {
+    try {
+      if (!navList) return;
+      const listingsLink = navList.querySelector('.nav-link[href="listings.html"]');
+      if (!listingsLink) return;
+
+      let count = 0;
+      try {
+        const saved = JSON.parse(localStorage.getItem(SAVED_STORAGE_KEY) || '[]');
+        count = Array.isArray(saved) ? saved.length : 0;
+      } catch (storageError) {
+        count = 0;
+      }
+
+      let badge = listingsLink.querySelector('.nav-badge');
+      if (!count) {
+        if (badge) badge.remove();
+        return;
+      }
+      if (!badge) {
+        badge = document.createElement('span');
+        badge.className = 'nav-badge';
+        listingsLink.appendChild(badge);
+      }
+      badge.innerHTML = `<span aria-hidden="true">${count}</span><span class="visually-hidden"> (${count} saved)</span>`;
+    } catch (error) {
+      console.error('Error updating saved listings badge:', error);
+    }
+  }
+
   // ===== Focus Management on Page Load =====
   function focusMainContent() {
     const mainContent = document.getElementById('main-content');
@@ -287,8 +329,15 @@ links.forEach(link => {
       setupHeroSection();
       enhanceKeyboardNav();
       enhanceForms();
+      updateSavedBadge();
       focusMainContent();
 
+      // Refresh the saved badge when the shortlist changes here or in another tab
+      document.addEventListener('favorites:change', updateSavedBadge);
+      window.addEventListener('storage', event => {
+        if (event.key === SAVED_STORAGE_KEY) updateSavedBadge();
+      });
+
       // Responsive adaptations if needed
       window.addEventListener('resize', debounce(() => {
         // Example: close mobile nav on resize if desktop width
@@ -0,0 +1,353 @@
+// qrCode.js - Minimal QR code generator for printed brochures
+// Encodes short text such as a listing URL as a QR code (byte mode, error correction level M, versions 1-10,
+// up to 213 bytes) and draws it as inline SVG, so printed pages need no server or third-party service.
+
+'use strict';
+
+(() => {
+  // Error correction level M; per version: EC codewords per block and the number of data codewords in each block
+  const VERSIONS = [
+    null,
+    {ecPerBlock: 10, blocks: [16]},
+    {ecPerBlock: 16, blocks: [28]},
+    {ecPerBlock: 26, blocks: [44]},
+    {ecPerBlock: 18, blocks: [32, 32]},
+    {ecPerBlock: 24, blocks: [43, 43]},
+    {ecPerBlock: 16, blocks: [27, 27, 27, 27]},
+    {ecPerBlock: 18, blocks: [31, 31, 31, 31]},
+    {ecPerBlock: 22, blocks: [38, 38, 39, 39]},
+    {ecPerBlock: 22, blocks: [36, 36, 36, 37, 37]},
+    {ecPerBlock: 26, blocks: [43, 43, 43, 43, 44]}
+  ];
+
+  // Centre coordinates of the alignment patterns for each version
+  const ALIGNMENT_POSITIONS = [
+    null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34],
+    [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]
+  ];
+
+  // Format bits for level M are 00
+  const EC_LEVEL_BITS = 0;
+
+  const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    x => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+  ];
+
+  const getBit = (value, index) => ((value >>> index) & 1) !== 0;
+
+  // ===== Reed-Solomon =====
+  // Multiplication in GF(256) with the QR code polynomial x^8 + x^4 + x^3 + x^2 + 1
+  const gfMultiply = (x, y) => {
+    let z = 0;
+    for (let i = 7; i >= 0; i -= 1) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11D);
+      z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+  };
+
+  const getDivisor = degree => {
+    const divisor = new Array(degree).fill(0);
+    divisor[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i += 1) {
+      for (let j = 0; j < degree; j += 1) {
+        divisor[j] = gfMultiply(divisor[j], root);
+        if (j + 1 < degree) divisor[j] ^= divisor[j + 1];
+      }
+      root = gfMultiply(root, 0x02);
+    }
+    return divisor;
+  };
+
+  const getRemainder = (data, divisor) => {
+    const remainder = divisor.map(() => 0);
+    data.forEach(byte => {
+      const factor = byte ^ remainder.shift();
+      remainder.push(0);
+      divisor.forEach((coefficient, i) => {
+        remainder[i] ^= gfMultiply(coefficient, factor);
+      });
+    });
+    return remainder;
+  };
+
+  // ===== Data Codewords =====
+  const getCapacity = version => VERSIONS[version].blocks.reduce((total, size) => total + size, 0);
+
+  const chooseVersion = byteLength => {
+    for (let version = 1; version < VERSIONS.length; version += 1) {
+      const countBits = version < 10 ? 8 : 16;
+      if (4 + countBits + byteLength * 8 <= getCapacity(version) * 8) return version;
+    }
+    throw new Error(`Text is too long for a QR code (${byteLength} bytes)`);
+  };
+
+  // Mode indicator, length, data, terminator and pad bytes
+  const encodeData = (bytes, version) => {
+    const bits = [];
+    const append = (value, length) => {
+      for (let i = length - 1; i >= 0; i -= 1) bits.push(getBit(value, i) ? 1 : 0);
+    };
+
+    const capacityBits = getCapacity(version) * 8;
+    append(0b0100, 4);
+    append(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(byte => append(byte, 8));
+    append(0, Math.min(4, capacityBits - bits.length));
+    append(0, (8 - bits.length % 8) % 8);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    for (let pad = 0xEC; codewords.length < capacityBits / 8; pad ^= 0xEC ^ 0x11) {
+      codewords.push(pad);
+    }
+    return codewords;
+  };
+
+  // Split into blocks, add error correction to each and interleave them
+  const addErrorCorrection = (codewords, version) => {
+    const {ecPerBlock, blocks} = VERSIONS[version];
+    const divisor = getDivisor(ecPerBlock);
+    let offset = 0;
+    const dataBlocks = blocks.map(size => {
+      const block = codewords.slice(offset, offset + size);
+      offset += size;
+      return block;
+    });
+    const ecBlocks = dataBlocks.map(block => getRemainder(block, divisor));
+
+    const result = [];
+    const longest = Math.max(...blocks);
+    for (let i = 0; i < longest; i += 1) {
+      dataBlocks.forEach(block => {
+        if (i < block.length) result.push(block[i]);
+      });
+    }
+    for (let i = 0; i < ecPerBlock; i += 1) {
+      ecBlocks.forEach(block => result.push(block[i]));
+    }
+    return result;
+  };
+
+  // ===== Module Matrix =====
+  const createMatrix = version => {
+    const size = version * 4 + 17;
+    const makeGrid = () => Array.from({length: size}, () => new Array(size).fill(false));
+    return {size, modules: makeGrid(), reserved: makeGrid()};
+  };
+
+  const setFunctionModule = (matrix, x, y, dark) => {
+    matrix.modules[y][x] = dark;
+    matrix.reserved[y][x] = true;
+  };
+
+  const drawFinderPattern = (matrix, cx, cy) => {
+    for (let dy = -4; dy <= 4; dy += 1) {
+      for (let dx = -4; dx <= 4; dx += 1) {
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x < 0 || y < 0 || x >= matrix.size || y >= matrix.size) continue;
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        setFunctionModule(matrix, x, y, distance !== 2 && distance !== 4);
+      }
+    }
+  };
+
+  const drawAlignmentPattern = (matrix, cx, cy) => {
+    for (let dy = -2; dy <= 2; dy += 1) {
+      for (let dx = -2; dx <= 2; dx += 1) {
+        setFunctionModule(matrix, cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }
+  };
+
+  // Both copies of the 15-bit format information (error correction level and mask)
+  const drawFormatBits = (matrix, mask) => {
+    const data = (EC_LEVEL_BITS << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i += 1) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const {size} = matrix;
+
+    for (let i = 0; i <= 5; i += 1) setFunctionModule(matrix, 8, i, getBit(bits, i));
+    setFunctionModule(matrix, 8, 7, getBit(bits, 6));
+    setFunctionModule(matrix, 8, 8, getBit(bits, 7));
+    setFunctionModule(matrix, 7, 8, getBit(bits, 8));
+    for (let i = 9; i < 15; i += 1) setFunctionModule(matrix, 14 - i, 8, getBit(bits, i));
+
+    for (let i = 0; i < 8; i += 1) setFunctionModule(matrix, size - 1 - i, 8, getBit(bits, i));
+    for (let i = 8; i < 15; i += 1) setFunctionModule(matrix, 8, size - 15 + i, getBit(bits, i));
+    setFunctionModule(matrix, 8, size - 8, true);
+  };
+
+  // Version 7 and up carry an 18-bit version block next to two of the finder patterns
+  const drawVersionBits = (matrix, version) => {
+    if (version < 7) return;
+    let remainder = version;
+    for (let i = 0; i < 12; i += 1) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+    const bits = (version << 12) | remainder;
+    for (let i = 0; i < 18; i += 1) {
+      const a = matrix.size - 11 + i % 3;
+      const b = Math.floor(i / 3);
+      setFunctionModule(matrix, a, b, getBit(bits, i));
+      setFunctionModule(matrix, b, a, getBit(bits, i));
+    }
+  };
+
+  const drawFunctionPatterns = (matrix, version) => {
+    const {size} = matrix;
+    for (let i = 0; i < size; i += 1) {
+      setFunctionModule(matrix, 6, i, i % 2 === 0);
+      setFunctionModule(matrix, i, 6, i % 2 === 0);
+    }
+
+    drawFinderPattern(matrix, 3, 3);
+    drawFinderPattern(matrix, size - 4, 3);
+    drawFinderPattern(matrix, 3, size - 4);
+
+    const positions = ALIGNMENT_POSITIONS[version];
+    const last = positions.length - 1;
+    positions.forEach((cy, i) => {
+      positions.forEach((cx, j) => {
+        // Skip the three corners taken by finder patterns
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        drawAlignmentPattern(matrix, cx, cy);
+      });
+    });
+
+    // Reserve the format areas now; the real bits are drawn once the mask is chosen
+    drawFormatBits(matrix, 0);
+    drawVersionBits(matrix, version);
+  };
+
+  // Codeword bits fill two-module columns in a zigzag from the bottom-right corner
+  const drawCodewords = (matrix, codewords) => {
+    const {size, modules, reserved} = matrix;
+    const totalBits = codewords.length * 8;
+    let index = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      const upward = ((right + 1) & 2) === 0;
+      for (let vert = 0; vert < size; vert += 1) {
+        const y = upward ? size - 1 - vert : vert;
+        for (let j = 0; j < 2; j += 1) {
+          const x = right - j;
+          if (reserved[y][x] || index >= totalBits) continue;
+          modules[y][x] = getBit(codewords[index >>> 3], 7 - (index & 7));
+          index += 1;
+        }
+      }
+    }
+  };
+
+  const applyMask = (matrix, mask) => {
+    const test = MASKS[mask];
+    for (let y = 0; y < matrix.size; y += 1) {
+      for (let x = 0; x < matrix.size; x += 1) {
+        if (!matrix.reserved[y][x] && test(x, y)) matrix.modules[y][x] = !matrix.modules[y][x];
+      }
+    }
+  };
+
+  // ===== Mask Selection =====
+  // Standard penalty rules: long runs, 2x2 blocks, finder-like patterns and dark/light balance
+  const getPenalty = ({size, modules}) => {
+    let penalty = 0;
+    const lines = [];
+    for (let i = 0; i < size; i += 1) {
+      lines.push(modules[i].map(dark => (dark ? '1' : '0')).join(''));
+      lines.push(modules.map(row => (row[i] ? '1' : '0')).join(''));
+    }
+
+    lines.forEach(line => {
+      (line.match(/0{5,}|1{5,}/g) || []).forEach(run => {
+        penalty += run.length - 2;
+      });
+      const padded = `0000${line}0000`;
+      ['10111010000', '00001011101'].forEach(pattern => {
+        for (let at = padded.indexOf(pattern); at !== -1; at = padded.indexOf(pattern, at + 1)) penalty += 40;
+      });
+    });
+
+    let dark = 0;
+    for (let y = 0; y < size; y += 1) {
+      for (let x = 0; x < size; x += 1) {
+        if (modules[y][x]) dark += 1;
+        if (x < size - 1 && y < size - 1) {
+          const color = modules[y][x];
+          if (modules[y][x + 1] === color && modules[y + 1][x] === color && modules[y + 1][x + 1] === color) penalty += 3;
+        }
+      }
+    }
+    const total = size * size;
+    penalty += Math.floor(Math.abs(dark * 20 - total * 10) / total) * 10;
+    return penalty;
+  };
+
+  const cloneMatrix = matrix => ({
+    size: matrix.size,
+    modules: matrix.modules.map(row => row.slice()),
+    reserved: matrix.reserved
+  });
+
+  // ===== Public API =====
+  // Square matrix of booleans (true = dark), without the quiet zone
+  const encode = text => {
+    const bytes = Array.from(new TextEncoder().encode(String(text)));
+    const version = chooseVersion(bytes.length);
+    const codewords = addErrorCorrection(encodeData(bytes, version), version);
+
+    const base = createMatrix(version);
+    drawFunctionPatterns(base, version);
+    drawCodewords(base, codewords);
+
+    let best = null;
+    let bestPenalty = Infinity;
+    MASKS.forEach((test, mask) => {
+      const candidate = cloneMatrix(base);
+      applyMask(candidate, mask);
+      drawFormatBits(candidate, mask);
+      const penalty = getPenalty(candidate);
+      if (penalty < bestPenalty) {
+        best = candidate;
+        bestPenalty = penalty;
+      }
+    });
+    return {version, size: best.size, modules: best.modules};
+  };
+
+  // SVG markup for the code, one path for all dark modules, with the recommended four-module quiet zone
+  const toSvg = (text, {label = '', margin = 4} = {}) => {
+    const {size, modules} = encode(text);
+    const extent = size + margin * 2;
+    const path = [];
+    modules.forEach((row, y) => {
+      row.forEach((dark, x) => {
+        if (dark) path.push(`M${x + margin} ${y + margin}h1v1h-1z`);
+      });
+    });
+    const escapedLabel = String(label).replace(/[&<>"]/g, char => `&#${char.charCodeAt(0)};`);
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${extent} ${extent}" shape-rendering="crispEdges"` +
+      `${escapedLabel ? ` role="img" aria-label="${escapedLabel}"` : ' aria-hidden="true"'}>` +
+      `<rect width="${extent}" height="${extent}" fill="#ffffff"/><path d="${path.join('')}" fill="#000000"/></svg>`;
+  };
+
+  window.OfficeApartments = window.OfficeApartments || {};
+  window.OfficeApartments.qrCode = {
+    encode,
+    toSvg
+  };
+
+})();
+
+//# sourceURL=qrCode.js
@@ -0,0 +1,174 @@
+// tourBooking.js - Tour booking widget for the contact.html form
+// Offers open tour slots from the local JSON schedule; the chosen slot is submitted with #contact-form.
+// The unit picker is not sent itself: contactInquiry.js keeps it and the hidden listingId field in step.
+
+'use strict';
+
+(() => {
+  // Schedule location, relative to the pages in html/
+  const SCHEDULE_URL = '../data/tours.json';
+
+  // Cache elements
+  const contactForm = document.getElementById('contact-form');
+  const bookingFieldset = document.getElementById('tour-booking');
+  const listingSelect = document.getElementById('tour-listing');
+  const listingIdField = document.getElementById('inquiry-listing-id');
+  const dateSelect = document.getElementById('tour-date');
+  const slotGroup = document.getElementById('tour-slots');
+  const slotStatus = document.getElementById('tour-slot-status');
+
+  // Catalog API provided by listingsData.js
+  const catalog = window.OfficeApartments && window.OfficeApartments.listings;
+
+  // Tour slots keyed by listing id
+  const slotsByListing = new Map();
+
+  const dayFormatter = new Intl.DateTimeFormat('en-US', {weekday: 'short', month: 'short', day: 'numeric'});
+  const timeFormatter = new Intl.DateTimeFormat('en-US', {hour: 'numeric', minute: '2-digit'});
+
+  // ===== Schedule Loading =====
+  // Slot times are local wall-clock times ("2026-10-21T10:00"); past slots count as unavailable
+  const loadSchedule = () => fetch(SCHEDULE_URL, {headers: {'Accept': 'application/json'}})
+    .then(response => {
+      if (!response.ok) {
+        throw new Error(`Tour schedule request failed with status ${response.status}`);
+      }
+      return response.json();
+    })
+    .then(data => {
+      const now = Date.now();
+      (data && Array.isArray(data.tours) ? data.tours : []).forEach(entry => {
+        const slots = (Array.isArray(entry.slots) ? entry.slots : [])
+          .map(slot => ({start: String(slot.start), time: new Date(slot.start), booked: Boolean(slot.booked)}))
+          .filter(slot => Number.isFinite(slot.time.getTime()))
+          .map(slot => Object.assign(slot, {available: !slot.booked && slot.time.getTime() > now}))
+          .sort((a, b) => a.time - b.time);
+        slotsByListing.set(String(entry.listingId), slots);
+      });
+    });
+
+  const dateKey = slot => slot.start.slice(0, 10);
+
+  // ===== Rendering =====
+  const renderDates = () => {
+    const slots = slotsByListing.get(listingSelect.value) || [];
+    const previous = dateSelect.value;
+
+    // Only offer days that still have an open slot
+    const days = Array.from(new Set(slots.filter(slot => slot.available).map(dateKey)));
+
+    dateSelect.textContent = '';
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = days.length ? 'Choose a day' : 'No tour days available';
+    dateSelect.appendChild(placeholder);
+
+    days.forEach(day => {
+      const option = document.createElement('option');
+      option.value = day;
+      option.textContent = dayFormatter.format(slots.find(slot => dateKey(slot) === day).time);
+      dateSelect.appendChild(option);
+    });
+
+    dateSelect.disabled = days.length === 0;
+    if (days.includes(previous)) dateSelect.value = previous;
+    renderSlots();
+  };
+
+  const renderSlots = () => {
+    const slots = (slotsByListing.get(listingSelect.value) || []).filter(slot => dateKey(slot) === dateSelect.value);
+    slotGroup.textContent = '';
+
+    slots.forEach((slot, index) => {
+      const id = `tour-slot-${index}`;
+      const label = document.createElement('label');
+      label.className = 'tour-slot';
+      label.htmlFor = id;
+
+      const input = document.createElement('input');
+      input.type = 'radio';
+      input.name = 'tourSlot';
+      input.id = id;
+      input.value = slot.start;
+      input.disabled = !slot.available;
+
+      const text = document.createElement('span');
+      text.textContent = timeFormatter.format(slot.time);
+
+      label.appendChild(input);
+      label.appendChild(text);
+      if (!slot.available) {
+        const note = document.createElement('span');
+        note.className = 'tour-slot-note';
+        note.textContent = slot.booked ? ' (booked)' : ' (passed)';
+        label.appendChild(note);
+        label.classList.add('is-unavailable');
+      }
+      slotGroup.appendChild(label);
+    });
+
+    if (slotStatus) {
+      if (!listingSelect.value) {
+        slotStatus.textContent = 'Choose an office apartment to see open tour times.';
+      } else if (!dateSelect.value) {
+        slotStatus.textContent = dateSelect.disabled ? 'There are no open tour times for this unit. Send us a message and we will arrange one.' : 'Choose a day to see open tour times.';
+      } else {
+        const open = slots.filter(slot => slot.available).length;
+        slotStatus.textContent = `${open} open time${open !== 1 ? 's' : ''} on this day.`;
+      }
+    }
+  };
+
+  const renderListingOptions = records => {
+    const requested = listingIdField ? listingIdField.value : '';
+
+    records.forEach(record => {
+      const option = document.createElement('option');
+      option.value = record.id;
+      option.textContent = `${record.title} (${catalog.formatSize(record.squareFeet)})`;
+      listingSelect.appendChild(option);
+    });
+
+    // Pre-select the unit the inquiry is about
+    if (records.some(record => record.id === requested)) {
+      listingSelect.value = requested;
+    }
+  };
+
+  // ===== Initialization =====
+  const init = () => {
+    try {
+      if (!contactForm || !bookingFieldset || !listingSelect || !dateSelect || !slotGroup || !catalog) {
+        // Not on contact.html page, safely abort
+        return;
+      }
+
+      listingSelect.addEventListener('change', renderDates);
+      dateSelect.addEventListener('change', renderSlots);
+
+      // After the form is reset the slot list must match the cleared selects
+      contactForm.addEventListener('reset', () => setTimeout(renderDates, 0));
+
+      Promise.all([catalog.loadListings(), loadSchedule()])
+        .then(([records]) => {
+          renderListingOptions(records);
+          renderDates();
+        })
+        .catch(error => {
+          console.error('Error loading tour schedule:', error);
+          // Keep the widget out of the tour inquiry type as well
+          bookingFieldset.removeAttribute('data-inquiry-types');
+          bookingFieldset.hidden = true;
+          bookingFieldset.disabled = true;
+        });
+    } catch (error) {
+      console.error('Error initializing tourBooking module:', error);
+    }
+  };
+
+  // Event listener to run on DOMContentLoaded
+  document.addEventListener('DOMContentLoaded', init);
+
+})();
+
+//# sourceURL=tourBooking.js
@@ -0,0 +1,222 @@
+// mockServer.js - Local mock of the inquiries endpoint for Small Business Office Apartments
+// Serves the site and accepts contact form submissions, storing them as JSON so the form can be developed offline.
+// Uses only Node built-ins. Run from the site folder:
+//
+//   node server/mockServer.js
+//
+// then open http://localhost:3000/html/contact.html. The other sites post their contact forms to the same
+// /api/inquiries path; serve one of them instead with SITE_DIR="../Kitties Delight" (or "../Coffee Lovers").
+// Environment options:
+//   PORT               port to listen on (default 3000)
+//   SITE_DIR           site folder to serve (default: this site)
+//   INQUIRIES_FILE     where inquiries are stored (default server/inquiries.json)
+//   MOCK_FAILURE_RATE  share of submissions to reject with a 503, 0 to 1, for trying the retry state
+//   MOCK_DELAY_MS      delay before answering a submission, for seeing the loading state
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const SITE_ROOT = path.resolve(process.env.SITE_DIR || path.join(__dirname, '..'));
+// This site keeps its pages in html/; the others have index.html at the top
+const HOME_PAGE = fs.existsSync(path.join(SITE_ROOT, 'html', 'index.html')) ? 'html/index.html' : 'index.html';
+const PORT = parseInt(process.env.PORT, 10) || 3000;
+const INQUIRIES_FILE = path.resolve(process.env.INQUIRIES_FILE || path.join(__dirname, 'inquiries.json'));
+const FAILURE_RATE = Math.min(1, Math.max(0, parseFloat(process.env.MOCK_FAILURE_RATE) || 0));
+const DELAY_MS = Math.max(0, parseInt(process.env.MOCK_DELAY_MS, 10) || 0);
+
+// Reject request bodies larger than this
+const MAX_BODY_BYTES = 64 * 1024;
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon'
+};
+
+// ===== Inquiry Store =====
+const readInquiries = () => {
+  try {
+    const stored = JSON.parse(fs.readFileSync(INQUIRIES_FILE, 'utf8'));
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error('Error reading inquiries file:', error);
+    return [];
+  }
+};
+
+// Write through a temporary file so an interrupted write never leaves invalid JSON behind
+const writeInquiries = inquiries => {
+  const tempFile = `${INQUIRIES_FILE}.tmp`;
+  fs.writeFileSync(tempFile, `${JSON.stringify(inquiries, null, 2)}\n`);
+  fs.renameSync(tempFile, INQUIRIES_FILE);
+};
+
+// ===== Validation =====
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const validateInquiry = data => {
+  const errors = {};
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return {form: 'Expected a JSON object.'};
+  }
+  if (!String(data.name || '').trim()) errors.name = 'Name is required.';
+  if (!EMAIL_PATTERN.test(String(data.email || '').trim())) errors.email = 'A valid email address is required.';
+  if (!String(data.message || '').trim()) errors.message = 'Message is required.';
+  return errors;
+};
+
+// ===== Responses =====
+const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, Object.assign({
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': 'no-store',
+    'Access-Control-Allow-Origin': '*'
+  }, headers));
+  res.end(JSON.stringify(body));
+};
+
+// HEAD requests get the same status and headers as GET, without the body
+const sendText = (req, res, status, text) => {
+  res.writeHead(status, {'Content-Type': 'text/plain; charset=utf-8'});
+  res.end(req.method === 'HEAD' ? undefined : text);
+};
+
+// An oversized body is rejected with status 413, but the rest of the upload is still read and
+// discarded; destroying the request would reset the socket before the client sees the response
+const readBody = req => new Promise((resolve, reject) => {
+  let chunks = [];
+  let size = 0;
+  req.on('data', chunk => {
+    if (!chunks) return;
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      chunks = null;
+      reject(Object.assign(new Error('Request body too large'), {status: 413}));
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => {
+    if (chunks) resolve(Buffer.concat(chunks).toString('utf8'));
+  });
+  req.on('error', reject);
+});
+
+// ===== Route Handlers =====
+const handleCreateInquiry = (req, res) => readBody(req)
+  .then(raw => {
+    let data;
+    try {
+      data = JSON.parse(raw);
+    } catch (error) {
+      return sendJson(res, 400, {error: 'Request body must be valid JSON.'});
+    }
+
+    const errors = validateInquiry(data);
+    if (Object.keys(errors).length) {
+      return sendJson(res, 422, {error: 'Some fields need attention.', fields: errors});
+    }
+
+    if (Math.random() < FAILURE_RATE) {
+      return sendJson(res, 503, {error: 'Simulated outage (MOCK_FAILURE_RATE).'});
+    }
+
+    const inquiry = Object.assign({}, data, {
+      id: crypto.randomUUID().slice(0, 8).toUpperCase(),
+      receivedAt: new Date().toISOString()
+    });
+    const inquiries = readInquiries();
+    inquiries.push(inquiry);
+    writeInquiries(inquiries);
+    console.log(`Stored inquiry ${inquiry.id} from ${inquiry.email}`);
+
+    return sendJson(res, 201, {id: inquiry.id, receivedAt: inquiry.receivedAt});
+  })
+  .catch(error => {
+    // The connection is not reused after a refused upload
+    const headers = error.status === 413 ? {Connection: 'close'} : {};
+    sendJson(res, error.status || 500, {error: error.status ? error.message : 'Could not store the inquiry.'}, headers);
+    if (!error.status) console.error('Error storing inquiry:', error);
+  });
+
+const handleStatic = (req, res, pathname) => {
+  let relative;
+  try {
+    relative = pathname === '/' ? HOME_PAGE : decodeURIComponent(pathname).replace(/^\/+/, '');
+  } catch (error) {
+    // Malformed percent-encoding such as /%E0%A4%A
+    sendText(req, res, 400, 'Bad request');
+    return;
+  }
+  const filePath = path.resolve(SITE_ROOT, relative);
+
+  // Never serve anything outside the site folder, or the inquiry store itself
+  if (!filePath.startsWith(SITE_ROOT + path.sep) || filePath.startsWith(__dirname + path.sep)) {
+    sendText(req, res, 403, 'Forbidden');
+    return;
+  }
+
+  fs.readFile(filePath, (error, content) => {
+    if (error) {
+      sendText(req, res, 404, 'Not found');
+      return;
+    }
+    res.writeHead(200, {
+      'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+      'Content-Length': content.length
+    });
+    res.end(req.method === 'HEAD' ? undefined : content);
+  });
+};
+
+// ===== Server =====
+const server = http.createServer((req, res) => {
+  let pathname;
+  try {
+    ({pathname} = new URL(req.url, `http://${req.headers.host || 'localhost'}`));
+  } catch (error) {
+    // An unparseable Host header
+    sendText(req, res, 400, 'Bad request');
+    return;
+  }
+
+  if (pathname === '/api/inquiries') {
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Accept'
+      });
+      res.end();
+    } else if (req.method === 'POST') {
+      setTimeout(() => handleCreateInquiry(req, res), DELAY_MS);
+    } else if (req.method === 'GET') {
+      sendJson(res, 200, {inquiries: readInquiries()});
+    } else {
+      sendJson(res, 405, {error: 'Method not allowed.'});
+    }
+    return;
+  }
+
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    sendJson(res, 405, {error: 'Method not allowed.'});
+    return;
+  }
+  handleStatic(req, res, pathname);
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock server running at http://localhost:${PORT}/${HOME_PAGE}`);
+  console.log(`Inquiries are stored in ${INQUIRIES_FILE}`);
+});
@@ -0,0 +1,293 @@
+// inquiryQueue.js - Contact form sending with a persistent offline queue
+// Shared by the Small Business Office Apartments, Coffee Lovers and Kitties Delight contact forms;
+// edited in shared/ and copied into each site by tools/syncShared.js.
+// Inquiries that cannot be sent (offline, network error, server unavailable) are stored in IndexedDB
+// and retried with exponential backoff, starting as soon as the browser reports it is back online.
+
+'use strict';
+
+(() => {
+  const DB_NAME = 'inquiry-queue';
+  const DB_VERSION = 1;
+  const STORE_NAME = 'inquiries';
+
+  // Used when a form does not name an endpoint in data-inquiry-endpoint
+  const DEFAULT_ENDPOINT = '/api/inquiries';
+
+  // Give up on a request that has not answered after this long
+  const REQUEST_TIMEOUT_MS = 15000;
+
+  // Retry delays double from the base up to the cap, with some jitter so tabs do not retry in lockstep
+  const RETRY_BASE_MS = 5000;
+  const RETRY_MAX_MS = 30 * 60 * 1000;
+
+  let dbPromise = null;
+  let flushPromise = null;
+  let retryTimer = null;
+
+  // ===== IndexedDB Storage =====
+  const openDb = () => {
+    if (dbPromise) return dbPromise;
+    if (!window.indexedDB) return Promise.reject(new Error('IndexedDB is not available'));
+
+    dbPromise = new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, {keyPath: 'id', autoIncrement: true});
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+    return dbPromise;
+  };
+
+  // Run one request against the store and resolve with its result once the transaction commits
+  const withStore = (mode, action) => openDb().then(db => new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = action(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  }));
+
+  const getEntries = () => withStore('readonly', store => store.getAll());
+  const addEntry = entry => withStore('readwrite', store => store.add(entry));
+  const putEntry = entry => withStore('readwrite', store => store.put(entry));
+  const deleteEntry = id => withStore('readwrite', store => store.delete(id));
+
+  // ===== Events =====
+  // inquiryqueue:change {size}, inquiryqueue:sent {payload, data}, inquiryqueue:failed {payload, error}
+  const dispatch = (name, detail) => document.dispatchEvent(new CustomEvent(name, {detail}));
+
+  const notifyChange = () => getEntries()
+    .then(entries => dispatch('inquiryqueue:change', {size: entries.length}))
+    .catch(() => dispatch('inquiryqueue:change', {size: 0}));
+
+  // ===== Sending =====
+  const getEndpoint = form => ((form && form.dataset.inquiryEndpoint) || DEFAULT_ENDPOINT).trim();
+
+  // Plain object of the form fields; repeated names (checkbox groups) become arrays
+  const serializeForm = form => {
+    const payload = {};
+    new FormData(form).forEach((value, name) => {
+      const text = typeof value === 'string' ? value.trim() : value.name;
+      if (Object.prototype.hasOwnProperty.call(payload, name)) {
+        payload[name] = [].concat(payload[name], text);
+      } else {
+        payload[name] = text;
+      }
+    });
+    payload.submittedAt = new Date().toISOString();
+    payload.page = window.location.pathname;
+    return payload;
+  };
+
+  const postInquiry = (endpoint, payload) => {
+    const controller = typeof AbortController === 'function' ? new AbortController() : null;
+    const timer = controller ? setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS) : null;
+
+    return fetch(endpoint, {
+      method: 'POST',
+      headers: {'Content-Type': 'application/json', 'Accept': 'application/json'},
+      body: JSON.stringify(payload),
+      signal: controller ? controller.signal : undefined
+    })
+      .then(response => response.json().catch(() => ({})).then(data => {
+        if (!response.ok) {
+          const error = new Error(data.error || `Inquiry request failed with status ${response.status}`);
+          error.status = response.status;
+          error.data = data;
+          throw error;
+        }
+        return data;
+      }))
+      .finally(() => clearTimeout(timer));
+  };
+
+  // Network failures, timeouts and server-side errors may succeed later; validation errors never will
+  const isRetryable = error => !error.status || error.status >= 500 || error.status === 408 || error.status === 429;
+
+  const getBackoff = attempts => {
+    const delay = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1));
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+  };
+
+  // ===== Queue =====
+  // Never rejects: flush() returns this, and page load and the online event call flush() without a catch
+  const scheduleRetry = () => {
+    clearTimeout(retryTimer);
+    if (navigator.onLine === false) return Promise.resolve();
+
+    return getEntries()
+      .then(entries => {
+        if (!entries.length) return;
+        const nextAttemptAt = Math.min(...entries.map(entry => entry.nextAttemptAt));
+        retryTimer = setTimeout(() => flush(), Math.max(0, nextAttemptAt - Date.now()));
+      })
+      .catch(error => {
+        // IndexedDB exists but cannot be opened, e.g. in some private browsing modes
+        console.error('Error scheduling inquiry retry:', error);
+      });
+  };
+
+  const enqueue = (endpoint, payload) => {
+    const now = Date.now();
+    return addEntry({endpoint, payload, attempts: 0, queuedAt: now, nextAttemptAt: now + getBackoff(1)})
+      .then(() => {
+        notifyChange();
+        scheduleRetry();
+      });
+  };
+
+  // Send due entries oldest first; `force` ignores the backoff, used when connectivity returns
+  const flush = ({force = false} = {}) => {
+    if (flushPromise) return flushPromise;
+    if (navigator.onLine === false) return Promise.resolve();
+
+    flushPromise = getEntries()
+      .then(entries => {
+        const now = Date.now();
+        const due = entries.filter(entry => force || entry.nextAttemptAt <= now);
+
+        return due.reduce((chain, entry) => chain.then(() => postInquiry(entry.endpoint, entry.payload)
+          .then(data => deleteEntry(entry.id).then(() => dispatch('inquiryqueue:sent', {payload: entry.payload, data})))
+          .catch(error => {
+            if (!isRetryable(error)) {
+              console.error('Error sending queued inquiry, the server rejected it:', error);
+              return deleteEntry(entry.id).then(() => dispatch('inquiryqueue:failed', {payload: entry.payload, error}));
+            }
+            entry.attempts += 1;
+            entry.nextAttemptAt = Date.now() + getBackoff(entry.attempts);
+            return putEntry(entry);
+          })), Promise.resolve());
+      })
+      .catch(error => {
+        console.error('Error flushing inquiry queue:', error);
+      })
+      .then(() => {
+        flushPromise = null;
+        notifyChange();
+        return scheduleRetry();
+      });
+
+    return flushPromise;
+  };
+
+  // Send now, or queue when that fails for a reason that may clear up.
+  // Resolves with {queued: false, data} once sent or {queued: true} once stored; rejects when neither worked.
+  const send = (endpoint, payload) => {
+    const attempt = navigator.onLine === false
+      ? Promise.reject(new Error('The browser is offline'))
+      : postInquiry(endpoint, payload);
+
+    return attempt
+      .then(data => ({queued: false, data}))
+      .catch(error => {
+        if (!isRetryable(error)) throw error;
+        return enqueue(endpoint, payload)
+          .then(() => ({queued: true}), queueError => {
+            console.error('Error queueing inquiry:', queueError);
+            throw error;
+          });
+      });
+  };
+
+  // ===== Default Form Handling =====
+  // Status line and submit handling for contact forms without their own UI (Coffee Lovers, Kitties Delight).
+  // Only forms with a data-inquiry-endpoint are taken over; any other form keeps its plain HTML submit.
+  const bindForm = form => {
+    if (!form || !form.dataset.inquiryEndpoint) return;
+    const submitBtn = form.querySelector('[type="submit"]');
+
+    let status = form.querySelector('.inquiry-status');
+    if (!status) {
+      status = document.createElement('p');
+      status.className = 'inquiry-status';
+      status.setAttribute('role', 'status');
+      status.setAttribute('aria-live', 'polite');
+      form.appendChild(status);
+    }
+    let queuedCount = 0;
+
+    const setStatus = (text, state) => {
+      status.textContent = text;
+      status.dataset.state = state || '';
+    };
+
+    form.addEventListener('submit', event => {
+      // Site validation that already stopped the submit, or native constraints, keep the form on the page
+      const rejected = event.defaultPrevented;
+      event.preventDefault();
+      if (rejected || !form.checkValidity()) return;
+
+      if (submitBtn) submitBtn.disabled = true;
+      form.setAttribute('aria-busy', 'true');
+      setStatus('Sending…', 'sending');
+
+      send(getEndpoint(form), serializeForm(form))
+        .then(result => {
+          form.reset();
+          if (result.queued) {
+            setStatus('Queued — will send when online. You can close this page.', 'queued');
+          } else {
+            setStatus('Thank you! Your message has been sent.', 'sent');
+          }
+        })
+        .catch(error => {
+          console.error('Error sending contact form:', error);
+          setStatus('Sorry, your message could not be sent. Please try again.', 'error');
+        })
+        .finally(() => {
+          if (submitBtn) submitBtn.disabled = false;
+          form.removeAttribute('aria-busy');
+        });
+    });
+
+    document.addEventListener('inquiryqueue:change', event => {
+      const previous = queuedCount;
+      queuedCount = event.detail.size;
+      if (queuedCount) {
+        setStatus(`${queuedCount} message${queuedCount !== 1 ? 's' : ''} queued — will send when online.`, 'queued');
+      } else if (previous && status.dataset.state === 'queued') {
+        setStatus('Your queued message has been sent. Thank you!', 'sent');
+      }
+    });
+
+    document.addEventListener('inquiryqueue:failed', () => {
+      setStatus('A queued message was rejected by the server. Please check it and send it again.', 'error');
+    });
+  };
+
+  // ===== Initialization =====
+  const init = () => {
+    try {
+      if (!window.indexedDB) return;
+
+      window.addEventListener('online', () => flush({force: true}));
+      window.addEventListener('offline', () => clearTimeout(retryTimer));
+
+      // Pick up anything left from an earlier visit
+      notifyChange();
+      flush();
+    } catch (error) {
+      console.error('Error initializing inquiry queue:', error);
+    }
+  };
+
+  window.InquiryQueue = {
+    send,
+    flush,
+    bindForm,
+    serializeForm,
+    getEndpoint
+  };
+
+  // Event listener to run on DOMContentLoaded
+  document.addEventListener('DOMContentLoaded', init);
+
+})();
+
+//# sourceURL=inquiryQueue.js
@@ -0,0 +1,156 @@
+// resizeImages.js - Generate responsive image variants for the sites in this repository
+// For every JPG in a site's images/ folder, writes resized copies and a tiny blur-up placeholder to
+// images/responsive/, for use with imageLoader.js (data-srcset and a placeholder src). Run from the repository root:
+//
+//   node tools/resizeImages.js                                  all sites with an images/ folder
+//   node tools/resizeImages.js "Kitties Delight"                one or more sites
+//   node tools/resizeImages.js --force                          rebuild variants that are up to date
+//
+// Resizing is done by ImageMagick: `magick` (version 7) must be on the PATH. Outside Windows, the `convert` and
+// `identify` commands of version 6 work too.
+// Prints the data-srcset value for each image so it can be pasted into the markup.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {execFileSync} = require('child_process');
+
+const REPO_ROOT = path.resolve(__dirname, '..');
+const OUTPUT_FOLDER = 'responsive';
+
+// Widths to generate; widths at or above the original are skipped so images are never upscaled
+const WIDTHS = [480, 800, 1200];
+const QUALITY = 78;
+
+// Blur-up placeholder: a few hundred bytes, stretched and blurred by the page until the real image arrives
+const PLACEHOLDER_WIDTH = 24;
+const PLACEHOLDER_QUALITY = 40;
+
+const SOURCE_PATTERN = /\.jpe?g$/i;
+
+// ===== ImageMagick =====
+const hasCommand = command => {
+  try {
+    execFileSync(command, ['-version'], {stdio: 'ignore'});
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// ImageMagick 7 ships a single `magick` command; version 6 has separate `convert` and `identify`.
+// On Windows `convert` is the system disk conversion tool, so only `magick` is looked for there.
+const findImageMagick = () => {
+  if (hasCommand('magick')) {
+    return {
+      convert: args => execFileSync('magick', args),
+      identify: args => execFileSync('magick', ['identify', ...args])
+    };
+  }
+  if (process.platform !== 'win32' && hasCommand('convert') && hasCommand('identify')) {
+    return {
+      convert: args => execFileSync('convert', args),
+      identify: args => execFileSync('identify', args)
+    };
+  }
+  return null;
+};
+
+// ===== Helpers =====
+const getImageWidth = (tools, file) => parseInt(String(tools.identify(['-format', '%w', `${file}[0]`])), 10);
+
+const isUpToDate = (source, target) => {
+  try {
+    return fs.statSync(target).mtimeMs >= fs.statSync(source).mtimeMs;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Sites are the top-level folders that have an images/ folder
+const findSites = () => fs.readdirSync(REPO_ROOT, {withFileTypes: true})
+  .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+  .map(entry => entry.name)
+  .filter(name => fs.existsSync(path.join(REPO_ROOT, name, 'images')));
+
+// ===== Variants =====
+const processImage = (tools, imagesDir, fileName, {force}) => {
+  const source = path.join(imagesDir, fileName);
+  const outputDir = path.join(imagesDir, OUTPUT_FOLDER);
+  const baseName = path.basename(fileName, path.extname(fileName));
+  const originalWidth = getImageWidth(tools, source);
+  if (!Number.isFinite(originalWidth)) throw new Error(`Could not read the width of ${source}`);
+
+  const written = [];
+  const candidates = [];
+
+  WIDTHS.filter(width => width < originalWidth).forEach(width => {
+    const target = path.join(outputDir, `${baseName}-${width}.jpg`);
+    candidates.push(`images/${OUTPUT_FOLDER}/${baseName}-${width}.jpg ${width}w`);
+    if (!force && isUpToDate(source, target)) return;
+    // [0] takes the first frame; -strip drops metadata; progressive JPEGs render sooner on slow connections
+    tools.convert([`${source}[0]`, '-resize', `${width}x`, '-strip', '-interlace', 'Plane', '-quality', String(QUALITY), target]);
+    written.push(target);
+  });
+  // The original is the largest candidate
+  candidates.push(`images/${fileName} ${originalWidth}w`);
+
+  const placeholder = path.join(outputDir, `${baseName}-placeholder.jpg`);
+  if (force || !isUpToDate(source, placeholder)) {
+    tools.convert([`${source}[0]`, '-resize', `${PLACEHOLDER_WIDTH}x`, '-strip', '-quality', String(PLACEHOLDER_QUALITY), placeholder]);
+    written.push(placeholder);
+  }
+
+  return {written, srcset: candidates.join(', ')};
+};
+
+const processSite = (tools, site, options) => {
+  const imagesDir = path.join(REPO_ROOT, site, 'images');
+  if (!fs.existsSync(imagesDir)) {
+    console.error(`Skipping ${site}: no images folder`);
+    return 0;
+  }
+
+  const files = fs.readdirSync(imagesDir).filter(name => SOURCE_PATTERN.test(name)).sort();
+  if (!files.length) return 0;
+  fs.mkdirSync(path.join(imagesDir, OUTPUT_FOLDER), {recursive: true});
+
+  console.log(`\n${site}`);
+  let failed = 0;
+  files.forEach(fileName => {
+    try {
+      const {written, srcset} = processImage(tools, imagesDir, fileName, options);
+      console.log(`  ${fileName}: ${written.length ? `${written.length} file${written.length !== 1 ? 's' : ''} written` : 'up to date'}`);
+      console.log(`    data-srcset="${srcset}"`);
+    } catch (error) {
+      failed += 1;
+      console.error(`  Error resizing ${fileName}:`, error.message);
+    }
+  });
+  return failed;
+};
+
+// ===== Main =====
+const main = () => {
+  const args = process.argv.slice(2);
+  const options = {force: args.includes('--force')};
+  const sites = args.filter(arg => !arg.startsWith('--'));
+
+  const tools = findImageMagick();
+  if (!tools) {
+    console.error('ImageMagick was not found: the `magick` command must be on the PATH. Install ImageMagick 7 (https://imagemagick.org)'
+      + ' and, on Windows, tick "Add application directory to your system path" in the installer.');
+    process.exitCode = 1;
+    return;
+  }
+
+  const failed = (sites.length ? sites : findSites())
+    .reduce((total, site) => total + processSite(tools, site, options), 0);
+  if (failed) {
+    console.error(`\n${failed} image${failed !== 1 ? 's' : ''} could not be resized.`);
+    process.exitCode = 1;
+  }
+};
+
+main();
@@ -0,0 +1,73 @@
+// syncShared.js - Copy the scripts shared between sites from shared/ into each site that uses them
+// Each site is deployed on its own, so it needs its own copy; shared/ holds the one copy that gets edited.
+// Run from the repository root after changing a file in shared/:
+//
+//   node tools/syncShared.js            write the copies
+//   node tools/syncShared.js --check    list copies that differ from shared/ and exit 1 if there are any
+//
+// Copies start with a line saying where they come from; everything after it matches the source byte for byte.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const REPO_ROOT = path.resolve(__dirname, '..');
+const SHARED_FOLDER = 'shared';
+
+// Shared file => folders (relative to the repository root) that get a copy
+const SHARED_FILES = {
+  'inquiryQueue.js': [
+    'Small Business Office Apartments/js',
+    'Coffee Lovers/js',
+    'Kitties Delight/scripts'
+  ],
+  'imageLoader.js': [
+    'Small Business Office Apartments/js',
+    'Kitties Delight/scripts'
+  ]
+};
+
+const getBanner = fileName => `// Generated from ${SHARED_FOLDER}/${fileName} by tools/syncShared.js. Edit that file, not this copy.\n`;
+
+const readIfExists = file => {
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+// ===== Main =====
+const main = () => {
+  const check = process.argv.slice(2).includes('--check');
+  let stale = 0;
+
+  Object.entries(SHARED_FILES).forEach(([fileName, folders]) => {
+    const expected = getBanner(fileName) + fs.readFileSync(path.join(REPO_ROOT, SHARED_FOLDER, fileName), 'utf8');
+
+    folders.forEach(folder => {
+      const target = path.join(REPO_ROOT, folder, fileName);
+      const relative = path.relative(REPO_ROOT, target);
+      if (readIfExists(target) === expected) return;
+
+      stale += 1;
+      if (check) {
+        console.error(`Out of date: ${relative}`);
+      } else {
+        fs.writeFileSync(target, expected);
+        console.log(`Updated ${relative}`);
+      }
+    });
+  });
+
+  if (check && stale) {
+    console.error(`\n${stale} cop${stale !== 1 ? 'ies differ' : 'y differs'} from ${SHARED_FOLDER}/. Run node tools/syncShared.js to update.`);
+    process.exitCode = 1;
+  } else if (!stale) {
+    console.log('All shared copies are up to date.');
+  }
+};
+
+main();